@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+
+/**
+ * @title DemoMembership
+ * @notice Club membership NFTs for trying gated elections on Ganache. The
+ * owner issues memberships; token IDs count up from 1. Enumerable, so the
+ * dApp can list the tokens a wallet holds.
+ */
+contract DemoMembership is ERC721Enumerable, Ownable {
+
+    uint256 public nextTokenId = 1;
+
+    constructor() ERC721("Demo Club Membership", "CLUB") {}
+
+    function issue(address member) external onlyOwner returns (uint256 tokenId) {
+        tokenId = nextTokenId++;
+        _safeMint(member, tokenId);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+
+/**
+ * @title DemoVotesToken
+ * @notice ERC20Votes token for trying token-weighted elections on Ganache.
+ * The owner mints (see scripts/token-faucet.js). Checkpoints use timestamps
+ * (ERC-6372 "mode=timestamp") so TokenWeightRegistrar can read balances at
+ * an election's voting start time. As with any ERC20Votes token, holders
+ * must delegate (to themselves or someone else) before their tokens count.
+ */
+contract DemoVotesToken is ERC20Votes, Ownable {
+
+    constructor() ERC20("Demo Governance Token", "DGT") ERC20Permit("Demo Governance Token") {}
+
+    function mint(address to, uint256 amount) external onlyOwner {
+        _mint(to, amount);
+    }
+
+    // ============ ERC-6372 CLOCK ============
+
+    function clock() public view override returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    function CLOCK_MODE() public pure override returns (string memory) {
+        return "mode=timestamp";
+    }
+}
@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "./GovernanceVoting.sol";
+
+/**
+ * @title ElectionCouncil
+ * @notice K-of-N approval for the sensitive actions of one GovernanceVoting
+ * election. A member proposes closing, pausing or resuming; the action can be
+ * executed once `threshold` members have approved it, within
+ * `ACTION_LIFETIME` of being proposed. The election admin installs the
+ * council with `installCouncil`, after which single signatures no longer
+ * work for these actions.
+ */
+contract ElectionCouncil {
+
+    // ============ DATA STRUCTURES ============
+
+    enum Action {
+        CloseVoting,
+        PauseElection,
+        ResumeElection
+    }
+
+    struct PendingAction {
+        Action action;
+        address proposer;
+        uint256 approvals;
+        bool executed;
+        uint256 proposedAt;
+    }
+
+    // ============ STATE VARIABLES ============
+
+    // Approvals go stale: an action not executed in time has to be proposed again
+    uint256 public constant ACTION_LIFETIME = 1 days;
+
+    GovernanceVoting public immutable election;
+    uint256 public immutable threshold;
+
+    address[] private _members;
+    mapping(address => bool) public isMember;
+
+    PendingAction[] private _actions;
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+
+    // ============ EVENTS ============
+
+    event ActionProposed(uint256 indexed actionId, Action action, address indexed proposer);
+    event ActionApproved(uint256 indexed actionId, address indexed member, uint256 approvals);
+    event ActionExecuted(uint256 indexed actionId, Action action, address indexed executor);
+
+    // ============ MODIFIERS ============
+
+    modifier onlyMember() {
+        require(isMember[msg.sender], "Only council members can perform this action");
+        _;
+    }
+
+    // ============ CONSTRUCTOR ============
+
+    /**
+     * @param members The officials who approve actions (N)
+     * @param _threshold Approvals needed before an action runs (K)
+     */
+    constructor(GovernanceVoting _election, address[] memory members, uint256 _threshold) {
+        require(address(_election) != address(0), "Election cannot be zero address");
+        require(_threshold > 0 && _threshold <= members.length, "Threshold must be between 1 and the member count");
+
+        for (uint256 i = 0; i < members.length; i++) {
+            require(members[i] != address(0), "Member cannot be zero address");
+            require(!isMember[members[i]], "Duplicate council member");
+            isMember[members[i]] = true;
+        }
+
+        election = _election;
+        threshold = _threshold;
+        _members = members;
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    function getMembers() external view returns (address[] memory) {
+        return _members;
+    }
+
+    function actionCount() external view returns (uint256) {
+        return _actions.length;
+    }
+
+    function getAction(uint256 actionId) external view returns (
+        Action action,
+        address proposer,
+        uint256 approvals,
+        bool executed,
+        uint256 proposedAt
+    ) {
+        require(actionId < _actions.length, "Invalid action ID");
+        PendingAction storage pending = _actions[actionId];
+        return (pending.action, pending.proposer, pending.approvals, pending.executed, pending.proposedAt);
+    }
+
+    function isExpired(uint256 actionId) public view returns (bool) {
+        require(actionId < _actions.length, "Invalid action ID");
+        return block.timestamp > _actions[actionId].proposedAt + ACTION_LIFETIME;
+    }
+
+    // ============ APPROVAL FLOW ============
+
+    /**
+     * @notice Queue an action; proposing counts as the proposer's approval
+     */
+    function propose(Action action) external onlyMember returns (uint256 actionId) {
+        actionId = _actions.length;
+        _actions.push(PendingAction({
+            action: action,
+            proposer: msg.sender,
+            approvals: 0,
+            executed: false,
+            proposedAt: block.timestamp
+        }));
+
+        emit ActionProposed(actionId, action, msg.sender);
+        _approve(actionId);
+    }
+
+    function approve(uint256 actionId) external onlyMember {
+        _requireOpen(actionId);
+        require(!hasApproved[actionId][msg.sender], "You have already approved");
+        _approve(actionId);
+    }
+
+    /**
+     * @notice Run an action once enough members have approved it
+     */
+    function execute(uint256 actionId) external onlyMember {
+        _requireOpen(actionId);
+        PendingAction storage pending = _actions[actionId];
+        require(pending.approvals >= threshold, "Not enough approvals");
+
+        pending.executed = true;
+        if (pending.action == Action.CloseVoting) {
+            election.closeVoting();
+        } else if (pending.action == Action.PauseElection) {
+            election.pauseElection();
+        } else {
+            election.resumeElection();
+        }
+
+        emit ActionExecuted(actionId, pending.action, msg.sender);
+    }
+
+    function _requireOpen(uint256 actionId) private view {
+        require(actionId < _actions.length, "Invalid action ID");
+        require(!_actions[actionId].executed, "Action already executed");
+        require(!isExpired(actionId), "Action has expired");
+    }
+
+    function _approve(uint256 actionId) private {
+        hasApproved[actionId][msg.sender] = true;
+        _actions[actionId].approvals++;
+        emit ActionApproved(actionId, msg.sender, _actions[actionId].approvals);
+    }
+}
@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./GovernanceVoting.sol";
+
+/**
+ * @title ElectionFactory
+ * @notice Deploys GovernanceVoting elections and keeps an index of them with
+ * their metadata, so one dApp can list and switch between many elections.
+ * New elections are minimal clones of a deployed GovernanceVoting, which keeps
+ * each deployment cheap; elections deployed directly can be listed as well.
+ */
+contract ElectionFactory {
+
+    // ============ DATA STRUCTURES ============
+
+    struct ElectionInfo {
+        address election;
+        string name;
+        string category;      // Free-form label, e.g. "council", "club", "referendum"
+        address creator;
+        uint256 createdAt;
+    }
+
+    // ============ STATE VARIABLES ============
+
+    // Deployed GovernanceVoting whose code every clone runs
+    address public immutable implementation;
+
+    ElectionInfo[] private _elections;
+    mapping(address => uint256) private _electionIndex;   // Index + 1, zero when not listed
+
+    // ============ EVENTS ============
+
+    event ElectionDeployed(
+        uint256 indexed index,
+        address indexed election,
+        address indexed creator,
+        string name,
+        string category
+    );
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(address _implementation) {
+        require(_implementation != address(0), "Implementation cannot be zero address");
+        implementation = _implementation;
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    function electionCount() external view returns (uint256) {
+        return _elections.length;
+    }
+
+    function getElection(uint256 index) external view returns (
+        address election,
+        string memory name,
+        string memory category,
+        address creator,
+        uint256 createdAt
+    ) {
+        require(index < _elections.length, "Invalid election index");
+        ElectionInfo storage info = _elections[index];
+        return (info.election, info.name, info.category, info.creator, info.createdAt);
+    }
+
+    function isElection(address election) public view returns (bool) {
+        return _electionIndex[election] != 0;
+    }
+
+    // ============ ELECTIONS ============
+
+    /**
+     * @notice Deploy a new election with the caller as its admin
+     * @param quorumPercent Share of voters or weight that must take part (0 disables the quorum)
+     */
+    function createElection(
+        string memory name,
+        string memory category,
+        string[] memory proposalTitles,
+        GovernanceVoting.QuorumType quorumType,
+        uint256 quorumPercent
+    ) external returns (address election) {
+        election = Clones.clone(implementation);
+        GovernanceVoting(election).initialize(name, proposalTitles, quorumType, quorumPercent, msg.sender);
+        _record(election, name, category);
+    }
+
+    /**
+     * @notice List an election that was deployed directly, e.g. by a migration
+     * @dev Only the election's admin may list it, and only once
+     */
+    function registerElection(address election, string memory category) external {
+        require(!isElection(election), "Election already listed");
+        require(GovernanceVoting(election).admin() == msg.sender, "Only the election admin can list it");
+        _record(election, GovernanceVoting(election).electionName(), category);
+    }
+
+    function _record(address election, string memory name, string memory category) private {
+        _elections.push(ElectionInfo({
+            election: election,
+            name: name,
+            category: category,
+            creator: msg.sender,
+            createdAt: block.timestamp
+        }));
+        _electionIndex[election] = _elections.length;
+
+        emit ElectionDeployed(_elections.length - 1, election, msg.sender, name, category);
+    }
+}
@@ -0,0 +1,489 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+/**
+ * @title GovernanceTally
+ * @notice The ballot box of a GovernanceVoting election and its counting
+ * rules: which choices a ballot may carry, how single, ranked and quadratic
+ * ballots add to the counts, and how the counts become a winner, a tie or a
+ * rejection when voting closes (instant runoff and tie-breaks included).
+ */
+library GovernanceTally {
+
+    // ============ CONSTANTS ============
+
+    // Ballot options kept apart from the proposals, addressed by IDs no proposal can reach
+    uint256 internal constant ABSTAIN = type(uint256).max;
+    uint256 internal constant REJECT_ALL = type(uint256).max - 1;
+
+    // ============ DATA STRUCTURES ============
+
+    struct Proposal {
+        string title;
+        string description;
+        uint256 voteCount;      // Total quadratic votes received
+        uint256 rawVoteCount;   // Total raw weight (for comparison display)
+        address author;         // May edit or withdraw it during Setup
+        bool withdrawn;         // Off the ballot; the ID stays reserved
+    }
+
+    enum TieBreakPolicy {
+        RawWeight,      // Highest raw weight among the tied proposals wins (first preferences, on ranked ballots)
+        AdminDecision,  // Admin picks one of the tied proposals
+        SeededRandom,   // Hash of the seed and the tied IDs picks the winner
+        Runoff          // A fresh voting round between the tied proposals only
+    }
+
+    struct RankedBallot {
+        address voter;
+        uint256 quadraticVotes;   // Vote power carried by this ballot in every round
+        uint256[] ranking;        // Proposal IDs, most preferred first
+    }
+
+    struct RunoffRound {
+        uint256[] tallies;        // Quadratic votes per proposal in this round
+        bool hasElimination;      // False for the deciding round
+        uint256 eliminatedProposalId;
+    }
+
+    // Everything a cast ballot touches, so the election passes one storage pointer
+    struct BallotBox {
+        Proposal[] proposals;
+        RankedBallot[] rankedBallots;
+        mapping(address => uint256) rankedBallotIndex;
+        mapping(address => uint256[]) quadraticAllocations;   // Votes per proposal, indexed by proposal ID
+        RunoffRound[] runoffRounds;                           // Instant-runoff rounds computed at close
+        uint256[] tied;                                       // Tied proposals, also the ballot of a tie runoff
+        Proposal abstentions;                                 // Counts only: turnout without support for anything
+        Proposal rejections;                                  // Counts only: "none of the above"
+    }
+
+    // ============ EVENTS ============
+
+    event ProposalEliminated(uint256 indexed round, uint256 indexed proposalId, uint256 votes);
+    event TieDetected(uint256[] proposalIds, TieBreakPolicy policy);
+    event NoVotesCast();
+    event AllProposalsRejected(uint256 quadraticVotes, uint256 rawVotes);
+
+    // ============ BALLOT CHECKS ============
+
+    /**
+     * @notice The counts a single choice adds to: a proposal, or the abstain or reject-all option
+     */
+    function choice(BallotBox storage box, uint256 id) internal view returns (Proposal storage) {
+        if (id == ABSTAIN) return box.abstentions;
+        if (id == REJECT_ALL) return box.rejections;
+        require(id < box.proposals.length, "Invalid proposal ID");
+        return box.proposals[id];
+    }
+
+    /**
+     * @notice Reject rankings with unknown, repeated, withdrawn or off-ballot proposals
+     * @param runoff Whether a tie runoff limits the ballot to `tied`
+     */
+    function checkRanking(BallotBox storage box, uint256[] memory ranking, bool runoff) external view {
+        require(ranking.length > 0, "Rank at least one proposal");
+        require(ranking.length <= box.proposals.length, "Too many rankings");
+
+        for (uint256 i = 0; i < ranking.length; i++) {
+            require(ranking[i] < box.proposals.length, "Invalid proposal ID");
+            requireOnBallot(box, runoff, ranking[i]);
+            for (uint256 j = 0; j < i; j++) {
+                require(ranking[j] != ranking[i], "Duplicate proposal in ranking");
+            }
+        }
+    }
+
+    /**
+     * @notice Reject a withdrawn proposal, or one left out of a tie runoff
+     */
+    function requireOnBallot(BallotBox storage box, bool runoff, uint256 proposalId) public view {
+        require(!box.proposals[proposalId].withdrawn, "Proposal was withdrawn");
+        if (!runoff) return;
+        for (uint256 i = 0; i < box.tied.length; i++) {
+            if (box.tied[i] == proposalId) return;
+        }
+        revert("Proposal is not on the runoff ballot");
+    }
+
+    // ============ CASTING ============
+
+    /**
+     * @notice Check a single choice and add a voter's weight to it
+     * @param rejectAllOffered Whether the ballot carries the reject-all option
+     * @param runoff Whether a tie runoff limits the ballot to `tied`
+     */
+    function castSingle(
+        BallotBox storage box,
+        uint256 id,
+        uint256 totalWeight,
+        bool rejectAllOffered,
+        bool runoff
+    ) external returns (uint256 votes) {
+        Proposal storage prop = choice(box, id);
+        if (id == REJECT_ALL) {
+            require(rejectAllOffered, "Reject all is not on this ballot");
+        } else if (id != ABSTAIN) {
+            requireOnBallot(box, runoff, id);
+        }
+
+        votes = quadraticVotes(totalWeight);
+        prop.voteCount += votes;
+        prop.rawVoteCount += totalWeight;
+    }
+
+    /**
+     * @notice Count a checked ranking's first preference and keep the ballot for the runoff at close
+     */
+    function castRanked(
+        BallotBox storage box,
+        address voter,
+        uint256[] memory ranking,
+        uint256 totalWeight
+    ) external returns (uint256 votes) {
+        votes = quadraticVotes(totalWeight);
+
+        // First preferences are visible while voting; transfers happen at close
+        box.proposals[ranking[0]].voteCount += votes;
+        box.proposals[ranking[0]].rawVoteCount += totalWeight;
+
+        box.rankedBallotIndex[voter] = box.rankedBallots.length;
+        box.rankedBallots.push(RankedBallot({
+            voter: voter,
+            quadraticVotes: votes,
+            ranking: ranking
+        }));
+    }
+
+    /**
+     * @notice Validate a quadratic allocation, add it to the proposals and keep it for `voter`
+     * @dev voteCount holds votes, rawVoteCount the credits spent on them
+     * @param credits The voter's budget of voice credits
+     * @return creditsSpent Sum of the squared votes
+     * @return topChoice The proposal given the most votes (lowest ID on a tie)
+     */
+    function castQuadratic(
+        BallotBox storage box,
+        address voter,
+        uint256[] memory votes,
+        uint256 credits,
+        bool runoff
+    ) external returns (uint256 creditsSpent, uint256 topChoice) {
+        require(votes.length == box.proposals.length, "Allocate votes for every proposal");
+
+        for (uint256 i = 0; i < votes.length; i++) {
+            if (votes[i] > 0) {
+                requireOnBallot(box, runoff, i);
+            }
+            creditsSpent += votes[i] * votes[i];
+            if (votes[i] > votes[topChoice]) {
+                topChoice = i;
+            }
+            box.proposals[i].voteCount += votes[i];
+            box.proposals[i].rawVoteCount += votes[i] * votes[i];
+        }
+        require(creditsSpent > 0, "Cast at least one vote");
+        require(creditsSpent <= credits, "Not enough voice credits");
+        box.quadraticAllocations[voter] = votes;
+    }
+
+    /**
+     * @notice Take a voter's earlier ballot back out of the counts so they can cast a new one
+     * @param proposalId The choice recorded for the voter; ignored for a quadratic allocation
+     * @param totalWeight The weight the earlier ballot carries
+     */
+    function retract(
+        BallotBox storage box,
+        address voter,
+        uint256 proposalId,
+        uint256 totalWeight,
+        bool ranked
+    ) external {
+        uint256[] storage allocation = box.quadraticAllocations[voter];
+        if (allocation.length > 0) {
+            for (uint256 i = 0; i < allocation.length; i++) {
+                box.proposals[i].voteCount -= allocation[i];
+                box.proposals[i].rawVoteCount -= allocation[i] * allocation[i];
+            }
+            delete box.quadraticAllocations[voter];
+            return;
+        }
+
+        reweigh(box, voter, proposalId, totalWeight, 0, ranked);
+        if (ranked && proposalId < box.proposals.length) {
+            // Move the last ballot into the freed slot; ballot order does not matter to the runoff
+            uint256 index = box.rankedBallotIndex[voter];
+            RankedBallot storage last = box.rankedBallots[box.rankedBallots.length - 1];
+            box.rankedBallotIndex[last.voter] = index;
+            box.rankedBallots[index] = last;
+            box.rankedBallots.pop();
+        }
+    }
+
+    /**
+     * @notice Re-weight a vote already cast when delegated weight joins or leaves it
+     * @dev A quadratic allocation goes through `_fitAllocation` instead
+     * @return newVotes The vote's quadratic votes after the change
+     */
+    function reweigh(
+        BallotBox storage box,
+        address voter,
+        uint256 proposalId,
+        uint256 oldTotal,
+        uint256 newTotal,
+        bool ranked
+    ) public returns (uint256 newVotes) {
+        if (box.quadraticAllocations[voter].length > 0) {
+            return _fitAllocation(box, voter, newTotal);
+        }
+        newVotes = quadraticVotes(newTotal);
+
+        Proposal storage prop = choice(box, proposalId);
+        prop.voteCount = prop.voteCount - quadraticVotes(oldTotal) + newVotes;
+        prop.rawVoteCount = prop.rawVoteCount - oldTotal + newTotal;
+
+        // Abstaining or rejecting all leaves no ranked ballot behind
+        if (ranked && proposalId < box.proposals.length) {
+            box.rankedBallots[box.rankedBallotIndex[voter]].quadraticVotes = newVotes;
+        }
+    }
+
+    /**
+     * @notice Shrink a quadratic allocation to a smaller credit budget when delegated weight leaves it
+     * @dev Each entry n becomes sqrt(n^2 * credits / spent), rounded down, so the ballot keeps its
+     * proportions and fits `credits`. A budget that grows leaves the allocation as cast.
+     * @return votes The allocation's votes across all proposals after the change
+     */
+    function _fitAllocation(BallotBox storage box, address voter, uint256 credits) private returns (uint256 votes) {
+        uint256[] storage allocation = box.quadraticAllocations[voter];
+        uint256 spent = 0;
+        for (uint256 i = 0; i < allocation.length; i++) {
+            spent += allocation[i] * allocation[i];
+        }
+
+        for (uint256 i = 0; i < allocation.length; i++) {
+            uint256 cast = allocation[i];
+            if (spent > credits) {
+                uint256 fitted = quadraticVotes(cast * cast * credits / spent);
+                box.proposals[i].voteCount = box.proposals[i].voteCount - cast + fitted;
+                box.proposals[i].rawVoteCount = box.proposals[i].rawVoteCount - cast * cast + fitted * fitted;
+                allocation[i] = fitted;
+            }
+            votes += allocation[i];
+        }
+    }
+
+    // Quadratic vote power: the integer square root of the weight (Babylonian method)
+    function quadraticVotes(uint256 weight) internal pure returns (uint256) {
+        if (weight == 0) return 0;
+        if (weight == 1) return 1;
+
+        uint256 x = weight;
+        uint256 y = (x + 1) / 2;
+        while (y < x) {
+            x = y;
+            y = (weight / y + y) / 2;
+        }
+        return x;
+    }
+
+    // ============ TALLY ============
+
+    /**
+     * @notice Count the ballots when an election closes and narrow a tie for first place under `policy`.
+     * "Reject all" wins when it has at least as many votes as the leading proposal.
+     * Emits the election's NoVotesCast, AllProposalsRejected or TieDetected event.
+     * @param ranked Decide by instant runoff over the ranked ballots instead of vote counts
+     * @return remaining The winner, the proposals still tied, or just `REJECT_ALL`;
+     * empty when no proposal and no rejection received a vote
+     */
+    function tally(
+        BallotBox storage box,
+        bool ranked,
+        TieBreakPolicy policy,
+        bytes32 seed
+    ) external returns (uint256[] memory remaining) {
+        uint256 top = 0;
+        if (ranked) {
+            if (box.rankedBallots.length > 0) {
+                remaining = runInstantRunoff(box);
+                top = box.runoffRounds[box.runoffRounds.length - 1].tallies[remaining[0]];
+            }
+        } else {
+            uint256[] memory tallies = new uint256[](box.proposals.length);
+            for (uint256 i = 0; i < tallies.length; i++) {
+                tallies[i] = box.proposals[i].voteCount;
+            }
+            remaining = leaders(tallies);
+            if (remaining.length > 0) {
+                top = tallies[remaining[0]];
+            }
+        }
+
+        uint256 rejections = box.rejections.voteCount;
+        if (rejections > 0 && rejections >= top) {
+            emit AllProposalsRejected(rejections, box.rejections.rawVoteCount);
+            remaining = new uint256[](1);
+            remaining[0] = REJECT_ALL;
+        } else if (remaining.length == 0) {
+            emit NoVotesCast();
+        } else if (remaining.length > 1) {
+            emit TieDetected(remaining, policy);
+            box.tied = remaining;
+            remaining = breakTie(box, remaining, policy, seed);
+        }
+    }
+
+    /**
+     * @notice Every proposal sharing the highest tally, lowest ID first
+     * @return ids Empty when all tallies are zero, more than one entry on a tie
+     */
+    function leaders(uint256[] memory tallies) public pure returns (uint256[] memory ids) {
+        uint256 highest = 0;
+        uint256 count = 0;
+        for (uint256 i = 0; i < tallies.length; i++) {
+            if (tallies[i] > highest) {
+                highest = tallies[i];
+                count = 1;
+            } else if (tallies[i] == highest) {
+                count++;
+            }
+        }
+        if (highest == 0) {
+            return ids;
+        }
+
+        ids = new uint256[](count);
+        uint256 next = 0;
+        for (uint256 i = 0; i < tallies.length; i++) {
+            if (tallies[i] == highest) {
+                ids[next++] = i;
+            }
+        }
+    }
+
+    /**
+     * @notice Instant-runoff elimination over the stored ranked ballots.
+     * Each round counts every ballot for its highest-ranked surviving proposal.
+     * A proposal with a strict majority of the counted votes wins; otherwise the
+     * proposal with the fewest votes is eliminated (ties drop the higher ID).
+     * When every surviving proposal has the same tally nobody can be eliminated
+     * fairly, so all of them are returned as tied finalists. Withdrawn proposals
+     * never take part.
+     * @return finalists The winner, or the tied proposals
+     */
+    function runInstantRunoff(BallotBox storage box) public returns (uint256[] memory finalists) {
+        Proposal[] storage proposals = box.proposals;
+        RankedBallot[] storage ballots = box.rankedBallots;
+        RunoffRound[] storage rounds = box.runoffRounds;
+        uint256 proposalCount = proposals.length;
+        bool[] memory eliminated = new bool[](proposalCount);
+        uint256 remaining = proposalCount;
+        for (uint256 i = 0; i < proposalCount; i++) {
+            if (proposals[i].withdrawn) {
+                eliminated[i] = true;
+                remaining--;
+            }
+        }
+
+        while (true) {
+            uint256[] memory tallies = new uint256[](proposalCount);
+            uint256 counted = 0;
+
+            for (uint256 b = 0; b < ballots.length; b++) {
+                RankedBallot storage ballot = ballots[b];
+                for (uint256 r = 0; r < ballot.ranking.length; r++) {
+                    uint256 preference = ballot.ranking[r];
+                    if (!eliminated[preference]) {
+                        tallies[preference] += ballot.quadraticVotes;
+                        counted += ballot.quadraticVotes;
+                        break;
+                    }
+                }
+            }
+
+            uint256 leader = proposalCount;
+            uint256 loser = proposalCount;
+            for (uint256 i = 0; i < proposalCount; i++) {
+                if (eliminated[i]) continue;
+                if (leader == proposalCount || tallies[i] > tallies[leader]) {
+                    leader = i;
+                }
+                if (loser == proposalCount || tallies[i] <= tallies[loser]) {
+                    loser = i;
+                }
+            }
+
+            rounds.push();
+            RunoffRound storage round = rounds[rounds.length - 1];
+            round.tallies = tallies;
+
+            if (remaining == 1 || tallies[leader] * 2 > counted) {
+                finalists = new uint256[](1);
+                finalists[0] = leader;
+                return finalists;
+            }
+
+            if (tallies[leader] == tallies[loser]) {
+                finalists = new uint256[](remaining);
+                uint256 next = 0;
+                for (uint256 i = 0; i < proposalCount; i++) {
+                    if (!eliminated[i]) {
+                        finalists[next++] = i;
+                    }
+                }
+                return finalists;
+            }
+
+            round.hasElimination = true;
+            round.eliminatedProposalId = loser;
+            eliminated[loser] = true;
+            remaining--;
+
+            emit ProposalEliminated(rounds.length - 1, loser, tallies[loser]);
+        }
+    }
+
+    // ============ TIE-BREAKS ============
+
+    /**
+     * @notice Narrow a tie for first place under `policy`.
+     * RawWeight compares `rawVoteCount`, which on ranked ballots counts first preferences only.
+     * AdminDecision and Runoff leave the tie for the election to handle.
+     * @return remaining The winner, or the proposals that are still tied
+     */
+    function breakTie(
+        BallotBox storage box,
+        uint256[] memory tied,
+        TieBreakPolicy policy,
+        bytes32 seed
+    ) public view returns (uint256[] memory remaining) {
+        if (policy == TieBreakPolicy.RawWeight) {
+            uint256[] memory raw = new uint256[](box.proposals.length);
+            for (uint256 i = 0; i < tied.length; i++) {
+                raw[tied[i]] = box.proposals[tied[i]].rawVoteCount;
+            }
+            return leaders(raw);
+        }
+        if (policy == TieBreakPolicy.SeededRandom) {
+            // Only inputs fixed before voting closes: whoever closes it cannot steer the draw
+            uint256 draw = uint256(keccak256(abi.encodePacked(seed, tied)));
+            remaining = new uint256[](1);
+            remaining[0] = tied[draw % tied.length];
+            return remaining;
+        }
+        return tied;
+    }
+
+    // Zero every count and forget the ranked ballots and their rounds, ready for a tie runoff
+    function resetCounts(BallotBox storage box) external {
+        for (uint256 i = 0; i < box.proposals.length; i++) {
+            box.proposals[i].voteCount = 0;
+            box.proposals[i].rawVoteCount = 0;
+        }
+        delete box.abstentions;
+        delete box.rejections;
+        delete box.rankedBallots;
+        delete box.runoffRounds;
+    }
+}
@@ -2,114 +2,376 @@
 pragma solidity ^0.8.11;
 
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./GovernanceTally.sol";
+import "./VoterRegistry.sol";
+
+// Add-ons such as ElectionCouncil and ProposalExecutor are built for one election
+interface IElectionAddOn {
+    function election() external view returns (address);
+}
 
 /**
  * @title GovernanceVoting
  * @notice A governance voting system with:
- *   - Voter Delegation: Voters can delegate their voting power to another voter
- *   - Time-Based Voting: Voting starts and ends automatically based on timestamps
+ *   - Voter Delegation: Voters can delegate their voting power along a chain of voters
+ *   - Time-Based Voting: Voting starts and ends automatically based on timestamps,
+ *     either immediately or on a schedule set during Setup, and can be extended;
+ *     the clock stops while the election is paused
  *   - Quadratic Voting: Vote power = sqrt(weight), preventing whale dominance
+ *   - Quadratic Ballots: Optionally spread credits across proposals, n votes cost n^2 credits
+ *   - Ranked-Choice Ballots: Optional instant-runoff tally over ordered preferences
+ *   - Secret Ballots: Optional commit-reveal flow that hides choices until voting closes
+ *   - Merkle Eligibility: Voters can prove (address, weight) against a published root
+ *   - Quorum: Elections without enough turnout end without a winner
+ *   - Tie-Breaks: Ties are reported and settled by a configurable policy
+ *   - Abstain / Reject All: Voters can abstain, or reject every proposal when the ballot offers it
+ *   - Vote Changes: Open ballots can be cast again until the voting window closes
+ *   - Clonable: ElectionFactory deploys clones and sets them up with `initialize`
+ *   - Officials: The super-admin shares whitelisting, proposal and pause duties through roles
+ *   - Council Approval: Closing and pausing can require K-of-N sign-off from an ElectionCouncil
+ *   - Executable Proposals: A ProposalExecutor can run the winner's calls after a timelock
+ *   - Registrars: Adapters such as TokenWeightRegistrar and MembershipGate register voters until voting closes
  */
 contract GovernanceVoting is Pausable {
     
     // ============ DATA STRUCTURES ============
     
-    struct Proposal {
-        string title;
-        string description;
-        uint256 voteCount;      // Total quadratic votes received
-        uint256 rawVoteCount;   // Total raw weight (for comparison display)
-    }
-
-    struct Voter {
-        bool whitelisted;
-        uint256 weight;           // Voting credits (tokens)
-        bool voted;
-        uint256 votedProposalId;
-        address delegate;         // Who this voter delegated to (address(0) if none)
-        uint256 delegatedWeight;  // Extra weight received from delegators
-    }
-
     enum Phase {
         Setup,      // Admin adds proposals and whitelists voters
         Voting,     // Voters cast ballots (time-based)
+        Commit,     // Secret ballots: voters submit salted hashes (time-based)
+        Reveal,     // Secret ballots: voters open their commitments
         Finished    // Voting closed, results available
     }
 
+    enum BallotType {
+        Single,         // One proposal per voter
+        RankedChoice,   // Ordered preferences, decided by instant runoff
+        Quadratic       // Credits split across proposals, n votes cost n^2 credits
+    }
+
+    enum QuorumType {
+        VoterShare,     // Percentage of registered voters who took part
+        WeightShare     // Percentage of registered voting weight that took part
+    }
+
+    enum Role {
+        WhitelistOfficial,  // Whitelists voters and publishes the eligibility root
+        ProposalManager,    // Adds proposals during Setup
+        Pauser,             // Pauses and resumes the election
+        Registrar           // Registers voters until voting closes, e.g. a token-weight adapter
+    }
+
+    enum Outcome {
+        Pending,        // Election still running
+        Decided,        // A winning proposal was elected
+        FailedQuorum,   // Turnout fell short of the quorum, no winner
+        NoVotes,        // No proposal received a vote, no winner
+        Tied,           // Tie the policy could not settle, awaiting the admin
+        Rejected        // "Reject all" beat every proposal, nothing passes
+    }
+
     // ============ STATE VARIABLES ============
     
-    address public immutable admin;
+    // Most delegations one chain may hold, counting those that lead into the delegator
+    uint256 public constant MAX_DELEGATION_DEPTH = MAX_CHAIN_LENGTH;
+    
+    // Most time `extendVoting` may add to a voting window, in total
+    uint256 public constant MAX_VOTING_EXTENSION = 3 days;
+    
+    // Choice IDs of the ballot options that are not proposals, as in GovernanceTally
+    uint256 public constant ABSTAIN = type(uint256).max;
+    uint256 public constant REJECT_ALL = type(uint256).max - 1;
+    
+    address public admin;             // Super-admin: runs the election and grants roles
+    bool private _initialized;
     string public electionName;
-    Phase public phase;
+    Phase private _phase;             // Read through `phase()`, which applies the schedule
+    BallotType public ballotType;
+    bool public secretBallot;
+    bool public rejectAllOffered;     // Ballot carries a "reject all" option
+    Outcome public outcome;
+    GovernanceTally.TieBreakPolicy public tieBreakPolicy;
+    bytes32 public tieBreakSeed;
+    bool public inTieRunoff;
+    
+    // Quorum, fixed at deployment (0% disables it)
+    QuorumType public quorumType;
+    uint256 public quorumPercent;
+    uint256 public electorateSize;    // Declared voters (or weight) the quorum is measured against, if more than registered
     
     // Time-based voting
-    uint256 public votingStartTime;
+    uint256 public votingStartTime;   // First opening; a tie runoff keeps it, so registrar snapshots stay put
     uint256 public votingEndTime;
+    uint256 public votingDuration;    // Window as first set, before extensions and pauses; a tie runoff gets the same
+    bool public votingScheduled;      // Voting opens by itself at `votingStartTime`
+    uint256 public totalExtension;    // Time added to the window by `extendVoting`
+    uint256 public pausedAt;          // Start of the current pause, zero while running
+    uint256 public totalPausedTime;   // Time given back to the window after pauses
+    uint256 public revealDuration;
+    uint256 public revealEndTime;
+    
+    // Officials holding roles, in the order they were first granted one
+    mapping(address => mapping(Role => bool)) public hasRole;
+    address[] private _officials;
+    mapping(address => bool) private _isOfficial;
+    
+    // Multisig that alone may close, pause and resume once installed
+    address public council;
+
+    // ProposalExecutor that runs the winning proposal's calls
+    address public executor;
     
-    // Proposals and voters
-    Proposal[] private _proposals;
-    mapping(address => Voter) private _voters;
+    // Proposals, their cast ballots and the voters
+    GovernanceTally.BallotBox private _box;
+    mapping(address => VoterRegistry.Voter) private _voters;
     address[] private _voterAddresses; // Track all whitelisted addresses
+    mapping(address => bool) private _removed; // Taken off by an official; only an official can add them back
+    
+    // Root of a StandardMerkleTree over (address, uint256 weight) leaves
+    bytes32 public eligibilityRoot;
+
+    // Result, set when the election closes; ties are kept in `_box.tied`
+    uint256 private _winningProposalId;
+
+    // Secret ballot bookkeeping
+    uint256 public commitCount;
+    uint256 public revealCount;
     
     // ============ EVENTS ============
     
     event ElectionCreated(string name, address admin);
+    event RoleUpdated(Role indexed role, address indexed account, bool granted);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event CouncilInstalled(address indexed council);
+    event ExecutorInstalled(address indexed executor);
     event ProposalAdded(uint256 indexed proposalId, string title);
+    event ProposalEdited(
+        uint256 indexed proposalId,
+        string oldTitle,
+        string newTitle,
+        string oldDescription,
+        string newDescription
+    );
+    event ProposalWithdrawn(uint256 indexed proposalId, string title);
     event VoterWhitelisted(address indexed account, uint256 weight);
+    event VoterWeightUpdated(address indexed account, uint256 oldWeight, uint256 newWeight);
+    event VoterRemoved(address indexed account, uint256 releasedDelegations);
     event VoteDelegated(address indexed from, address indexed to, uint256 weight);
-    event Voted(address indexed account, uint256 indexed proposalId, uint256 quadraticVotes, uint256 rawWeight);
+    event Voted(address indexed account, uint256 indexed proposalId, uint256 quadraticVotes, uint256 rawWeight); // Emitted by VoterRegistry
     event VotingStarted(uint256 startTime, uint256 endTime);
-    event VotingEnded(uint256 winningProposalId, string winningTitle);
+    event VotingScheduled(uint256 startTime, uint256 endTime);
+    event VotingExtended(uint256 newEndTime, uint256 addedSeconds, string reason);
+    event DeadlineShifted(uint256 pausedSeconds, uint256 newEndTime);
+    event VotingEnded(uint256 winningProposalId, string winningTitle, bool tie, uint256[] tiedProposalIds);
+    event QuorumFailed(uint256 turnout, uint256 required);
+    event NoVotesCast(); // Emitted by GovernanceTally
+    event AllProposalsRejected(uint256 quadraticVotes, uint256 rawVotes); // Emitted by GovernanceTally
+    event RejectAllOptionChanged(bool offered);
+    event TieBreakPolicyChanged(GovernanceTally.TieBreakPolicy policy, bytes32 seed);
+    event TieDetected(uint256[] proposalIds, GovernanceTally.TieBreakPolicy policy);
+    event TieRunoffStarted(uint256[] proposalIds, uint256 endTime);
+    event EligibilityRootSet(bytes32 root);
+    event ElectorateSizeSet(uint256 size);
+    event EligibilityClaimed(address indexed account, uint256 weight);
+    event BallotTypeChanged(BallotType ballotType);
+    event RankedVoteCast(address indexed account, uint256[] ranking, uint256 quadraticVotes, uint256 rawWeight); // Emitted by VoterRegistry
+    event QuadraticVoteCast(address indexed account, uint256[] votes, uint256 creditsSpent); // Emitted by VoterRegistry
+    event DelegationOverridden(address indexed account, address indexed formerDelegate, uint256 weight); // Emitted by VoterRegistry
+    event VoteChanged(address indexed account, uint256 previousProposalId); // Emitted by VoterRegistry
+    event VoteWeightChanged(address indexed account, uint256 indexed proposalId, uint256 quadraticVotes, uint256 rawWeight); // Emitted by VoterRegistry
+    event ProposalEliminated(uint256 indexed round, uint256 indexed proposalId, uint256 votes); // Emitted by GovernanceTally
+    event SecretBallotChanged(bool enabled, uint256 revealDuration);
+    event VoteCommitted(address indexed account);
+    event RevealStarted(uint256 startTime, uint256 endTime);
     
     // ============ MODIFIERS ============
     
+    // Modifier bodies live in private functions so they are not inlined into every caller
+
     modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin can perform this action");
+        _requireAdmin();
+        _;
+    }
+
+    modifier onlyRole(Role role) {
+        _requireRole(role);
+        _;
+    }
+
+    // Once a council is installed, its K-of-N approval replaces the single signature
+    modifier signedOff(bool pauserAction) {
+        _requireSignOff(pauserAction);
         _;
     }
 
     modifier inPhase(Phase expected) {
-        require(phase == expected, "Action not allowed in current phase");
+        _requirePhase(expected);
+        _;
+    }
+    
+    // Setup-phase configuration, refused while the election is paused
+    modifier duringSetup() {
+        _requireSetup();
         _;
     }
     
     modifier votingOpen() {
-        require(phase == Phase.Voting, "Voting is not active");
+        _requireVotingOpen();
+        _;
+    }
+
+    modifier commitOpen() {
+        require(phase() == Phase.Commit, "Commit phase is not active");
+        _requireWithinVotingWindow();
+        _;
+    }
+
+    modifier delegationOpen() {
+        _requireDelegationOpen();
+        _;
+    }
+
+    function _requireAdmin() private view {
+        require(msg.sender == admin, "Only admin can perform this action");
+    }
+
+    // The super-admin holds every role
+    function _requireRole(Role role) private view {
+        require(msg.sender == admin || hasRole[msg.sender][role], "Only admin or role holder");
+    }
+
+    function _requireSignOff(bool pauserAction) private view {
+        if (council != address(0)) {
+            require(msg.sender == council, "Council approval required");
+        } else if (pauserAction) {
+            _requireRole(Role.Pauser);
+        } else {
+            _requireAdmin();
+        }
+    }
+
+    function _requirePhase(Phase expected) private view {
+        require(phase() == expected, "Action not allowed in current phase");
+    }
+
+    function _requireSetup() private view {
+        _requirePhase(Phase.Setup);
+        _requireNotPaused();
+    }
+
+    function _requireVotingOpen() private view {
+        require(phase() == Phase.Voting, "Voting is not active");
+        _requireWithinVotingWindow();
+    }
+
+    // Open ballots accept delegation changes until the voting window closes
+    function _requireDelegationOpen() private view {
+        Phase current = phase();
+        require(current == Phase.Setup || current == Phase.Voting, "Delegation is closed");
+        if (current == Phase.Voting) {
+            _requireWithinVotingWindow();
+        }
+    }
+
+    // Open or committed ballots are being cast, whether or not the window has passed
+    function _ballotsOpen() private view returns (bool) {
+        Phase current = phase();
+        return current == Phase.Voting || current == Phase.Commit;
+    }
+
+    function _requireWithinVotingWindow() private view {
         require(block.timestamp >= votingStartTime, "Voting has not started yet");
         require(block.timestamp <= votingEndTime, "Voting period has ended");
-        _;
     }
 
     // ============ CONSTRUCTOR ============
     
-    constructor(string memory _electionName, string[] memory proposalTitles) {
-        admin = msg.sender;
+    constructor(
+        string memory _electionName,
+        string[] memory proposalTitles,
+        QuorumType _quorumType,
+        uint256 _quorumPercent
+    ) {
+        _initialize(_electionName, proposalTitles, _quorumType, _quorumPercent, msg.sender);
+    }
+
+    /**
+     * @notice Set up a clone made by ElectionFactory; the constructor does this for direct deployments
+     * @param _admin Account that runs the election
+     */
+    function initialize(
+        string memory _electionName,
+        string[] memory proposalTitles,
+        QuorumType _quorumType,
+        uint256 _quorumPercent,
+        address _admin
+    ) external {
+        _initialize(_electionName, proposalTitles, _quorumType, _quorumPercent, _admin);
+    }
+
+    function _initialize(
+        string memory _electionName,
+        string[] memory proposalTitles,
+        QuorumType _quorumType,
+        uint256 _quorumPercent,
+        address _admin
+    ) private {
+        require(!_initialized, "Election already initialized");
+        _requireAdminAddress(_admin);
+        require(_quorumPercent <= 100, "Quorum cannot exceed 100%");
+        
+        _initialized = true;
+        admin = _admin;
         electionName = _electionName;
-        phase = Phase.Setup;
+        _phase = Phase.Setup;
+        quorumType = _quorumType;
+        quorumPercent = _quorumPercent;
         
         // Add initial proposals
         for (uint256 i = 0; i < proposalTitles.length; i++) {
-            _addProposal(proposalTitles[i], "");
+            _addProposal(proposalTitles[i], "", _admin);
         }
         
-        emit ElectionCreated(_electionName, msg.sender);
+        emit ElectionCreated(_electionName, _admin);
     }
 
     // ============ VIEW FUNCTIONS ============
     
+    /**
+     * @notice Current phase; a scheduled election leaves Setup on its own once
+     * `votingStartTime` arrives, without anyone sending a transaction
+     */
+    function phase() public view returns (Phase) {
+        if (_phase == Phase.Setup && votingScheduled && block.timestamp >= votingStartTime) {
+            return _openingPhase();
+        }
+        return _phase;
+    }
+
+    // Where a voting round begins: committing hashes on a secret ballot, voting otherwise
+    function _openingPhase() private view returns (Phase) {
+        return secretBallot ? Phase.Commit : Phase.Voting;
+    }
+
     function proposalCount() external view returns (uint256) {
-        return _proposals.length;
+        return _box.proposals.length;
     }
 
+    /**
+     * @dev Also reports the counts of `ABSTAIN` and `REJECT_ALL`, which have no title
+     */
     function getProposal(uint256 proposalId) external view returns (
         string memory title,
         string memory description,
         uint256 quadraticVotes,
-        uint256 rawVotes
+        uint256 rawVotes,
+        address author,
+        bool withdrawn
     ) {
-        require(proposalId < _proposals.length, "Invalid proposal ID");
-        Proposal storage prop = _proposals[proposalId];
-        return (prop.title, prop.description, prop.voteCount, prop.rawVoteCount);
+        GovernanceTally.Proposal storage prop = GovernanceTally.choice(_box, proposalId);
+        return (prop.title, prop.description, prop.voteCount, prop.rawVoteCount, prop.author, prop.withdrawn);
     }
 
     function getVoter(address account) external view returns (
@@ -121,8 +383,8 @@ contract GovernanceVoting is Pausable {
         uint256 delegatedWeight,
         uint256 totalVotingPower
     ) {
-        Voter storage voter = _voters[account];
-        uint256 total = voter.weight + voter.delegatedWeight;
+        VoterRegistry.Voter storage voter = _voters[account];
+        uint256 total = VoterRegistry.votingPower(_voters, account);
         return (
             voter.whitelisted,
             voter.weight,
@@ -134,243 +396,800 @@ contract GovernanceVoting is Pausable {
         );
     }
     
+    /**
+     * @dev `endTime` already includes time given back after earlier pauses;
+     * `pausedDuration` also counts the pause in progress, if any
+     */
     function getTimeInfo() external view returns (
         uint256 currentTime,
         uint256 startTime,
         uint256 endTime,
-        bool isVotingActive
+        bool isVotingActive,
+        uint256 pausedDuration
     ) {
-        bool active = phase == Phase.Voting && 
+        bool active = _ballotsOpen() && 
+                      !paused() &&
                       block.timestamp >= votingStartTime && 
                       block.timestamp <= votingEndTime;
-        return (block.timestamp, votingStartTime, votingEndTime, active);
+        uint256 pausing = paused() ? block.timestamp - pausedAt : 0;
+        return (block.timestamp, votingStartTime, votingEndTime, active, totalPausedTime + pausing);
     }
     
     function getVoterCount() external view returns (uint256) {
         return _voterAddresses.length;
     }
 
-    // Calculate quadratic vote power: sqrt(weight)
-    // We use integer square root for simplicity
+    /**
+     * @notice Everyone who was ever granted a role; check `hasRole` for what they hold now
+     */
+    function getOfficials() external view returns (address[] memory) {
+        return _officials;
+    }
+
+    /**
+     * @notice Turnout so far, measured in the unit chosen by `quorumType`
+     * @dev A delegator counts as taking part once the end of their chain has voted
+     * @return turnout Voters (or weight) that took part
+     * @return eligible Registered voters (or their total weight), or the declared electorate if that is larger
+     * @return required Turnout needed to reach quorum
+     */
+    function getTurnout() public view returns (
+        uint256 turnout,
+        uint256 eligible,
+        uint256 required
+    ) {
+        (turnout, eligible) = VoterRegistry.turnout(_voters, _voterAddresses, quorumType == QuorumType.WeightShare);
+        if (eligible < electorateSize) eligible = electorateSize;
+        
+        // Round up so that e.g. 50% of 5 voters needs 3 of them
+        required = (eligible * quorumPercent + 99) / 100;
+    }
+
+    /**
+     * @notice Follow a voter's delegation chain; the last entry casts the vote
+     */
+    function getDelegationChain(address account) external view returns (address[] memory) {
+        return VoterRegistry.delegationChain(_voters, account);
+    }
+
+    function getCommitment(address account) external view returns (bytes32) {
+        return _voters[account].commitment;
+    }
+
+    /**
+     * @notice Hash a secret ballot exactly as `commitVote` expects it
+     * @dev Single-choice ballots commit to a one-element array
+     */
+    function computeCommitment(address account, uint256[] memory choices, bytes32 salt)
+        public
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encodePacked(account, choices, salt));
+    }
+
+    function getRanking(address account) external view returns (uint256[] memory ranking) {
+        VoterRegistry.Voter storage voter = _voters[account];
+        if (_isRanked() && voter.voted && voter.votedProposalId < REJECT_ALL) {
+            return _box.rankedBallots[_box.rankedBallotIndex[account]].ranking;
+        }
+    }
+
+    function getQuadraticAllocation(address account) external view returns (uint256[] memory) {
+        return _box.quadraticAllocations[account];
+    }
+
+    function getTiedProposals() external view returns (uint256[] memory) {
+        return _box.tied;
+    }
+
+    function runoffRoundCount() external view returns (uint256) {
+        return _box.runoffRounds.length;
+    }
+
+    function getRunoffRound(uint256 round) external view returns (
+        uint256[] memory tallies,
+        bool hasElimination,
+        uint256 eliminatedProposalId
+    ) {
+        require(round < _box.runoffRounds.length, "Invalid round");
+        GovernanceTally.RunoffRound storage r = _box.runoffRounds[round];
+        return (r.tallies, r.hasElimination, r.eliminatedProposalId);
+    }
+
+    // Calculate quadratic vote power: sqrt(weight), rounded down
     function calculateQuadraticVotes(uint256 weight) public pure returns (uint256) {
-        if (weight == 0) return 0;
-        if (weight == 1) return 1;
-        
-        // Babylonian method for integer square root
-        uint256 x = weight;
-        uint256 y = (x + 1) / 2;
-        while (y < x) {
-            x = y;
-            y = (weight / y + y) / 2;
+        return GovernanceTally.quadraticVotes(weight);
+    }
+
+    // ============ ROLES ============
+
+    /**
+     * @notice Grant or revoke one of the official roles
+     */
+    function setRole(Role role, address account, bool granted) external onlyAdmin {
+        require(account != address(0), "Role holder cannot be zero address");
+        
+        hasRole[account][role] = granted;
+        if (granted && !_isOfficial[account]) {
+            _isOfficial[account] = true;
+            _officials.push(account);
         }
-        return x;
+        if (granted && role == Role.Registrar) _recheckQuorumBase();
+        emit RoleUpdated(role, account, granted);
+    }
+
+    /**
+     * @notice Hand the super-admin seat to another account
+     * @dev The admin cannot vote, so neither can the account taking over
+     */
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        _requireAdminAddress(newAdmin);
+        require(!_voters[newAdmin].whitelisted, "Admin cannot be a voter");
+        emit AdminTransferred(admin, newAdmin);
+        admin = newAdmin;
+    }
+
+    function _requireAdminAddress(address account) private pure {
+        require(account != address(0), "Admin cannot be zero address");
+    }
+
+    /**
+     * @notice Require council approval for closing, pausing and resuming from now on
+     * @dev One-way: afterwards only the council itself can run these actions
+     */
+    function installCouncil(address _council) external onlyAdmin {
+        _requireInstallable(council, _council);
+        council = _council;
+        emit CouncilInstalled(_council);
+    }
+
+    /**
+     * @notice Link the ProposalExecutor that may run the winning proposal's actions
+     * @dev Only during Setup, so voters know which actions they are voting on
+     */
+    function installExecutor(address _executor) external onlyAdmin duringSetup {
+        _requireInstallable(executor, _executor);
+        executor = _executor;
+        emit ExecutorInstalled(_executor);
+    }
+
+    function _requireInstallable(address current, address addOn) private view {
+        require(current == address(0), "Add-on already installed");
+        require(addOn != address(0), "Add-on cannot be zero address");
+        require(IElectionAddOn(addOn).election() == address(this), "Add-on was built for another election");
     }
 
     // ============ ADMIN FUNCTIONS ============
     
     function addProposal(string memory title, string memory description) 
         external 
-        onlyAdmin 
-        inPhase(Phase.Setup) 
-        whenNotPaused 
+        onlyRole(Role.ProposalManager) 
+        duringSetup 
     {
-        _addProposal(title, description);
+        _addProposal(title, description, msg.sender);
     }
 
-    function _addProposal(string memory title, string memory description) private {
-        require(bytes(title).length > 0, "Proposal title cannot be empty");
-        _proposals.push(Proposal({
+    function _addProposal(string memory title, string memory description, address author) private {
+        _requireTitle(title);
+        _box.proposals.push(GovernanceTally.Proposal({
             title: title,
             description: description,
             voteCount: 0,
-            rawVoteCount: 0
+            rawVoteCount: 0,
+            author: author,
+            withdrawn: false
         }));
-        emit ProposalAdded(_proposals.length - 1, title);
+        emit ProposalAdded(_box.proposals.length - 1, title);
+    }
+
+    function _requireTitle(string memory title) private pure {
+        require(bytes(title).length > 0, "Proposal title cannot be empty");
+    }
+
+    /**
+     * @notice Fix a proposal's title or description before voting starts
+     * @dev Open to the proposal's author and to proposal managers
+     */
+    function editProposal(uint256 proposalId, string memory title, string memory description)
+        external
+        duringSetup
+    {
+        _requireTitle(title);
+        GovernanceTally.Proposal storage prop = _editableProposal(proposalId);
+        emit ProposalEdited(proposalId, prop.title, title, prop.description, description);
+        prop.title = title;
+        prop.description = description;
+    }
+
+    /**
+     * @notice Take a proposal off the ballot; other proposal IDs do not shift
+     */
+    function withdrawProposal(uint256 proposalId) external duringSetup {
+        GovernanceTally.Proposal storage prop = _editableProposal(proposalId);
+        prop.withdrawn = true;
+        emit ProposalWithdrawn(proposalId, prop.title);
+    }
+
+    function _editableProposal(uint256 proposalId) private view returns (GovernanceTally.Proposal storage prop) {
+        require(proposalId < _box.proposals.length, "Invalid proposal ID");
+        prop = _box.proposals[proposalId];
+        require(!prop.withdrawn, "Proposal was withdrawn");
+        if (msg.sender != prop.author) {
+            _requireRole(Role.ProposalManager);
+        }
     }
 
     function whitelistVoter(address account, uint256 weight) 
         external 
-        onlyAdmin 
-        inPhase(Phase.Setup) 
-        whenNotPaused 
+        onlyRole(Role.WhitelistOfficial) 
+        duringSetup 
     {
-        require(account != address(0), "Cannot whitelist zero address");
-        require(weight > 0, "Weight must be greater than zero");
-        require(account != admin, "Admin cannot be a voter");
-        
-        Voter storage voter = _voters[account];
+        _whitelistVoter(account, weight);
+    }
+
+    /**
+     * @notice Whitelist many voters in one transaction
+     * @dev Keep batches small enough to fit the block gas limit; the dApp sends chunks
+     */
+    function whitelistVoters(address[] memory accounts, uint256[] memory weights) 
+        external 
+        onlyRole(Role.WhitelistOfficial) 
+        duringSetup 
+    {
+        require(accounts.length > 0, "Batch is empty");
+        require(accounts.length == weights.length, "Accounts and weights length mismatch");
         
-        // If new voter, add to list
-        if (!voter.whitelisted) {
-            _voterAddresses.push(account);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _whitelistVoter(accounts[i], weights[i]);
         }
-        
-        voter.whitelisted = true;
-        voter.weight = weight;
-        voter.voted = false;
-        voter.votedProposalId = 0;
-        voter.delegate = address(0);
-        voter.delegatedWeight = 0;
-        
+    }
+
+    /**
+     * @notice Change a voter's weight; anyone they delegate to gains or loses the difference
+     */
+    function updateVoterWeight(address account, uint256 weight)
+        external
+        onlyRole(Role.WhitelistOfficial)
+        duringSetup
+    {
+        emit VoterWeightUpdated(account, VoterRegistry.updateWeight(_voters, account, weight), weight);
+    }
+
+    /**
+     * @notice Take a voter off the whitelist; delegations to them are cancelled
+     * @dev They cannot claim eligibility or be registered again; whitelisting them again lifts that
+     */
+    function removeVoter(address account)
+        external
+        onlyRole(Role.WhitelistOfficial)
+        duringSetup
+    {
+        _removed[account] = true;
+        emit VoterRemoved(account, VoterRegistry.remove(_voters, _voterAddresses, account));
+    }
+
+    /**
+     * @notice Register a voter whose weight is worked out elsewhere, e.g. from token holdings
+     * @dev Open until voting closes, like eligibility claims, so weights can come from a snapshot taken at the start
+     */
+    function registerVoter(address account, uint256 weight) external onlyRole(Role.Registrar) whenNotPaused {
+        _requireCanRegister(account);
+        _whitelistVoter(account, weight);
+    }
+
+    // Open during Setup, Voting and Commit; a registered weight is final
+    function _requireCanRegister(address account) private view {
+        require(phase() < Phase.Reveal, "Voter registration is closed");
+        require(!_voters[account].whitelisted, "Already registered as a voter");
+        require(!_removed[account], "Voter was removed");
+    }
+
+    function _whitelistVoter(address account, uint256 weight) private {
+        require(account != admin, "Admin cannot be a voter");
+        _removed[account] = false;
+        VoterRegistry.register(_voters, _voterAddresses, account, weight);
         emit VoterWhitelisted(account, weight);
     }
 
+    /**
+     * @notice Publish the Merkle root of eligible (address, weight) pairs
+     * @dev Built by scripts/build-merkle-tree.js; voters then call `claimEligibility`
+     */
+    function setEligibilityRoot(bytes32 root) 
+        external 
+        onlyRole(Role.WhitelistOfficial) 
+        duringSetup 
+    {
+        eligibilityRoot = root;
+        _recheckQuorumBase();
+        emit EligibilityRootSet(root);
+    }
+
+    /**
+     * @notice Declare how many voters (or how much weight, per `quorumType`) the quorum is measured against
+     * @dev Required for a quorum when voters register themselves, through the eligibility root or a registrar,
+     *      since only those who have registered are counted otherwise
+     */
+    function setElectorateSize(uint256 size) external onlyAdmin duringSetup {
+        electorateSize = size;
+        _recheckQuorumBase();
+        emit ElectorateSizeSet(size);
+    }
+
+    function setBallotType(BallotType newType) 
+        external 
+        onlyAdmin 
+        duringSetup 
+    {
+        ballotType = newType;
+        emit BallotTypeChanged(newType);
+    }
+
+    /**
+     * @notice Offer a "reject all" option; if it beats every proposal, nothing passes
+     */
+    function setRejectAllOption(bool offered) 
+        external 
+        onlyAdmin 
+        duringSetup 
+    {
+        rejectAllOffered = offered;
+        emit RejectAllOptionChanged(offered);
+    }
+
+    /**
+     * @notice Toggle commit-reveal voting; the reveal window opens when commits close
+     */
+    function setSecretBallot(bool enabled, uint256 revealDurationInMinutes) 
+        external 
+        onlyAdmin 
+        duringSetup 
+    {
+        require(!enabled || revealDurationInMinutes > 0, "Reveal duration must be greater than zero");
+        secretBallot = enabled;
+        revealDuration = enabled ? revealDurationInMinutes * 1 minutes : 0;
+        emit SecretBallotChanged(enabled, revealDuration);
+    }
+
+    /**
+     * @notice Choose how a tie for first place is settled at close
+     * @dev `RawWeight` compares the raw weight each proposal received; on ranked ballots that is
+     *      first-preference weight, not the transfers of the round that ended in the tie
+     * @param seed Public seed for `SeededRandom`, hashed with the tied proposal IDs at close
+     */
+    function setTieBreakPolicy(GovernanceTally.TieBreakPolicy policy, bytes32 seed) 
+        external 
+        onlyAdmin 
+        duringSetup 
+    {
+        require(policy != GovernanceTally.TieBreakPolicy.SeededRandom || seed != bytes32(0), "Seeded random tie-breaks need a seed");
+        tieBreakPolicy = policy;
+        tieBreakSeed = policy == GovernanceTally.TieBreakPolicy.SeededRandom ? seed : bytes32(0);
+        emit TieBreakPolicyChanged(policy, tieBreakSeed);
+    }
+
     function startVoting(uint256 durationInMinutes) 
         external 
         onlyAdmin 
-        inPhase(Phase.Setup) 
-        whenNotPaused 
+        duringSetup 
     {
-        require(_proposals.length > 0, "Add at least one proposal first");
-        require(_voterAddresses.length > 0, "Whitelist at least one voter first");
+        _requireReadyToStart();
         require(durationInMinutes > 0, "Duration must be greater than zero");
         
-        phase = Phase.Voting;
+        _phase = _openingPhase();
+        votingScheduled = false;
         votingStartTime = block.timestamp;
-        votingEndTime = block.timestamp + (durationInMinutes * 1 minutes);
+        votingDuration = durationInMinutes * 1 minutes;
+        votingEndTime = block.timestamp + votingDuration;
         
         emit VotingStarted(votingStartTime, votingEndTime);
     }
 
-    function closeVoting() external onlyAdmin inPhase(Phase.Voting) whenNotPaused {
-        phase = Phase.Finished;
+    /**
+     * @notice Open voting automatically at `startTime`; can be rescheduled until then
+     * @param startTime Unix timestamp at which voting opens
+     * @param endTime Unix timestamp at which voting closes
+     */
+    function scheduleVoting(uint256 startTime, uint256 endTime) 
+        external 
+        onlyAdmin 
+        duringSetup 
+    {
+        _requireReadyToStart();
+        require(startTime > block.timestamp, "Start time must be in the future");
+        require(endTime > startTime, "End time must be after start time");
+        
+        votingScheduled = true;
+        votingStartTime = startTime;
+        votingDuration = endTime - startTime;
+        votingEndTime = endTime;
         
-        uint256 winnerId = _calculateWinner();
-        emit VotingEnded(winnerId, _proposals[winnerId].title);
+        emit VotingScheduled(startTime, endTime);
+    }
+
+    // Withdrawn proposals do not count: an election must have something to vote for
+    function _requireReadyToStart() private view {
+        uint256 firstOnBallot = 0;
+        while (firstOnBallot < _box.proposals.length && _box.proposals[firstOnBallot].withdrawn) firstOnBallot++;
+        require(firstOnBallot < _box.proposals.length, "Add at least one proposal first");
+        require(
+            _voterAddresses.length > 0 || eligibilityRoot != bytes32(0) || _hasRegistrar(),
+            "Whitelist at least one voter first"
+        );
+        _requireQuorumBase();
+    }
+
+    // Voters who register themselves only count once they have, so open registration needs a declared electorate
+    function _requireQuorumBase() private view {
+        require(
+            quorumPercent == 0 || electorateSize > 0 || (eligibilityRoot == bytes32(0) && !_hasRegistrar()),
+            "Declare the electorate size for the quorum"
+        );
+    }
+
+    // Once voting is scheduled the start-time check has passed, so changes after it are checked here
+    function _recheckQuorumBase() private view {
+        if (votingScheduled || _phase != Phase.Setup) _requireQuorumBase();
+    }
+
+    // Voters may also arrive through a registrar after voting opens
+    function _hasRegistrar() private view returns (bool) {
+        for (uint256 i = 0; i < _officials.length; i++) {
+            if (hasRole[_officials[i]][Role.Registrar]) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @notice Give voters more time while the window is still open, e.g. after an outage
+     * @param extraMinutes Minutes added to `votingEndTime`
+     * @param reason Why the window was extended, kept in the event log
+     */
+    function extendVoting(uint256 extraMinutes, string memory reason) external onlyAdmin whenNotPaused {
+        require(_ballotsOpen(), "Voting is not active");
+        _requireWithinVotingWindow();
+        require(extraMinutes > 0, "Extension must be greater than zero");
+        require(bytes(reason).length > 0, "Give a reason for the extension");
+        
+        uint256 added = extraMinutes * 1 minutes;
+        require(totalExtension + added <= MAX_VOTING_EXTENSION, "Exceeds maximum total extension");
+        
+        totalExtension += added;
+        votingEndTime += added;
+        
+        emit VotingExtended(votingEndTime, added, reason);
+    }
+
+    function closeVoting() external signedOff(false) whenNotPaused {
+        if (phase() != Phase.Reveal) _requirePhase(Phase.Voting);
+        _finalize();
     }
     
     // Auto-close if time expired (anyone can call)
-    function finalizeIfExpired() external inPhase(Phase.Voting) whenNotPaused {
-        require(block.timestamp > votingEndTime, "Voting period not yet ended");
+    function finalizeIfExpired() external whenNotPaused {
+        if (phase() == Phase.Reveal) {
+            require(block.timestamp > revealEndTime, "Reveal period not yet ended");
+        } else {
+            _requirePhase(Phase.Voting);
+            require(block.timestamp > votingEndTime, "Voting period not yet ended");
+        }
+        _finalize();
+    }
+
+    // Close the commit window: admin at any time, anyone once it has expired
+    function openReveal() external inPhase(Phase.Commit) whenNotPaused {
+        require(msg.sender == admin || block.timestamp > votingEndTime, "Commit period not yet ended");
+        
+        _phase = Phase.Reveal;
+        revealEndTime = block.timestamp + revealDuration;
+        
+        emit RevealStarted(block.timestamp, revealEndTime);
+    }
+
+    function _finalize() private {
+        _phase = Phase.Finished;
         
-        phase = Phase.Finished;
+        (uint256 turnout, , uint256 required) = getTurnout();
+        if (turnout < required) {
+            outcome = Outcome.FailedQuorum;
+            emit QuorumFailed(turnout, required);
+            return;
+        }
         
-        uint256 winnerId = _calculateWinner();
-        emit VotingEnded(winnerId, _proposals[winnerId].title);
+        // Ties are recorded in `_box.tied` and narrowed by the policy during the tally
+        uint256[] memory remaining = GovernanceTally.tally(
+            _box, _isRanked(), tieBreakPolicy, tieBreakSeed
+        );
+        
+        if (remaining.length == 0) {
+            outcome = Outcome.NoVotes;
+        } else if (remaining[0] == REJECT_ALL) {
+            outcome = Outcome.Rejected;
+        } else if (remaining.length == 1) {
+            _declareWinner(remaining[0]);
+        } else if (tieBreakPolicy == GovernanceTally.TieBreakPolicy.Runoff && !inTieRunoff) {
+            _startTieRunoff();
+        } else {
+            // AdminDecision, raw weight tied as well, or a runoff that tied again
+            _box.tied = remaining;
+            outcome = Outcome.Tied;
+        }
+    }
+
+    // Clears every ballot and reopens voting, for the tied proposals only, for the original duration.
+    // Only the deadline moves: `votingStartTime` stays at the first opening.
+    function _startTieRunoff() private {
+        VoterRegistry.clearBallots(_voters, _voterAddresses, _box);
+        commitCount = 0;
+        revealCount = 0;
+        
+        votingEndTime = block.timestamp + votingDuration;
+        _phase = _openingPhase();
+        inTieRunoff = true;
+        
+        emit TieRunoffStarted(_box.tied, votingEndTime);
+    }
+
+    /**
+     * @notice Settle a tie the policy could not break
+     */
+    function resolveTie(uint256 proposalId) external onlyAdmin inPhase(Phase.Finished) whenNotPaused {
+        require(outcome == Outcome.Tied, "No tie awaiting a decision");
+        require(_isTied(proposalId), "Proposal is not part of the tie");
+        _declareWinner(proposalId);
+    }
+
+    function _declareWinner(uint256 proposalId) private {
+        outcome = Outcome.Decided;
+        _winningProposalId = proposalId;
+        emit VotingEnded(proposalId, _box.proposals[proposalId].title, _box.tied.length > 0, _box.tied);
+    }
+
+    function _isTied(uint256 proposalId) private view returns (bool) {
+        for (uint256 i = 0; i < _box.tied.length; i++) {
+            if (_box.tied[i] == proposalId) return true;
+        }
+        return false;
+    }
+
+    function _isRanked() private view returns (bool) {
+        return ballotType == BallotType.RankedChoice;
+    }
+
+    function _requireBallotType(bool matches) private pure {
+        require(matches, "Wrong ballot type for this election");
     }
 
     /**
      * @notice Emergency circuit breaker controls
      */
-    function pauseElection() external onlyAdmin {
+    function pauseElection() external signedOff(true) {
         _pause();
+        pausedAt = block.timestamp;
     }
 
-    function resumeElection() external onlyAdmin {
+    function resumeElection() external signedOff(true) {
         _unpause();
+        _shiftDeadline(block.timestamp - pausedAt);
+        pausedAt = 0;
+    }
+
+    // Give a running window back the time a pause took out of it
+    function _shiftDeadline(uint256 pausedFor) private {
+        uint256 newEndTime;
+        
+        if (_phase == Phase.Setup && votingScheduled && pausedAt < votingStartTime) {
+            // Paused before a scheduled opening: the whole schedule slides
+            votingStartTime += pausedFor;
+            newEndTime = votingEndTime += pausedFor;
+        } else if (_ballotsOpen() && pausedAt <= votingEndTime) {
+            newEndTime = votingEndTime += pausedFor;
+        } else if (phase() == Phase.Reveal && pausedAt <= revealEndTime) {
+            newEndTime = revealEndTime += pausedFor;
+        } else {
+            return;
+        }
+        
+        totalPausedTime += pausedFor;
+        emit DeadlineShifted(pausedFor, newEndTime);
     }
 
     // ============ VOTER FUNCTIONS ============
     
+    /**
+     * @notice Register yourself with a Merkle proof instead of being whitelisted by the admin
+     * @param weight The weight recorded for you in the published tree
+     * @param proof Sibling hashes from your leaf to `eligibilityRoot`
+     */
+    function claimEligibility(uint256 weight, bytes32[] memory proof) external whenNotPaused {
+        _requireCanRegister(msg.sender);
+        require(eligibilityRoot != bytes32(0), "No eligibility root published");
+        
+        // Same double-hashed leaf as OpenZeppelin's StandardMerkleTree
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, weight))));
+        require(MerkleProof.verify(proof, eligibilityRoot, leaf), "Invalid eligibility proof");
+        
+        _whitelistVoter(msg.sender, weight);
+        emit EligibilityClaimed(msg.sender, weight);
+    }
+
     /**
      * @notice Delegate your voting power to another whitelisted voter
+     * @dev Weight (including anything delegated to you) follows `to`'s own
+     * delegation chain up to the voter at its end, who casts the vote.
+     * Allowed until voting closes; if that voter has already voted, the
+     * weight is added to their chosen proposal straight away.
      * @param to The address to delegate to
      */
-    function delegate(address to) external inPhase(Phase.Setup) whenNotPaused {
-        Voter storage sender = _voters[msg.sender];
-        require(sender.whitelisted, "You are not a whitelisted voter");
-        require(!sender.voted, "You have already voted");
-        require(to != msg.sender, "Cannot delegate to yourself");
+    function delegate(address to) external delegationOpen whenNotPaused {
         require(to != address(0), "Cannot delegate to zero address");
-        
-        Voter storage delegateTo = _voters[to];
-        require(delegateTo.whitelisted, "Delegate is not a whitelisted voter");
-        
-        // Remove previous delegation if exists
-        if (sender.delegate != address(0)) {
-            Voter storage oldDelegate = _voters[sender.delegate];
-            oldDelegate.delegatedWeight -= sender.weight;
-        }
-        
-        // Set new delegation
-        sender.delegate = to;
-        delegateTo.delegatedWeight += sender.weight;
-        
-        emit VoteDelegated(msg.sender, to, sender.weight);
+        uint256 power = _redelegate(to);
+        emit VoteDelegated(msg.sender, to, power);
     }
     
     /**
      * @notice Remove your delegation and reclaim voting power
+     * @dev If the end of your chain has already voted, your weight leaves that vote
      */
-    function removeDelegate() external inPhase(Phase.Setup) whenNotPaused {
-        Voter storage sender = _voters[msg.sender];
-        require(sender.whitelisted, "You are not a whitelisted voter");
-        require(sender.delegate != address(0), "You have not delegated");
-        
-        Voter storage oldDelegate = _voters[sender.delegate];
-        oldDelegate.delegatedWeight -= sender.weight;
-        
-        emit VoteDelegated(msg.sender, address(0), sender.weight);
-        sender.delegate = address(0);
+    function removeDelegate() external delegationOpen whenNotPaused {
+        require(_voters[msg.sender].delegate != address(0), "You have not delegated");
+        uint256 power = _redelegate(address(0));
+        emit VoteDelegated(msg.sender, address(0), power);
+    }
+
+    // Moves the sender's weight between chains and re-weights votes already cast at either end
+    function _redelegate(address to) private returns (uint256 power) {
+        return VoterRegistry.redelegate(_voters, _box, msg.sender, to, _isRanked());
     }
 
     /**
-     * @notice Cast your vote using quadratic voting
-     * @param proposalId The proposal to vote for
+     * @notice Cast your vote using quadratic voting; calling again before the deadline changes it
+     * @dev Delegators may vote directly; doing so withdraws their delegation.
+     * `ABSTAIN` and `REJECT_ALL` can be chosen on every ballot type.
+     * @param proposalId The proposal to vote for, or `ABSTAIN` / `REJECT_ALL`
      */
     function vote(uint256 proposalId) external votingOpen whenNotPaused {
-        require(proposalId < _proposals.length, "Invalid proposal ID");
+        _requireBallotType(ballotType == BallotType.Single || proposalId >= REJECT_ALL);
+        _castSingle(proposalId);
+    }
+
+    /**
+     * @notice Cast a ranked ballot; first preferences are tallied immediately
+     * @param ranking Proposal IDs ordered from most to least preferred
+     */
+    function voteRanked(uint256[] memory ranking) external votingOpen whenNotPaused {
+        _requireBallotType(_isRanked());
+        _castRanked(ranking);
+    }
+
+    /**
+     * @notice Spread your voice credits across proposals; n votes on one proposal cost n^2 credits
+     * @param votes Votes per proposal, indexed by proposal ID (use 0 to skip a proposal)
+     */
+    function voteQuadratic(uint256[] memory votes) external votingOpen whenNotPaused {
+        _requireBallotType(ballotType == BallotType.Quadratic);
+        _castQuadratic(votes);
+    }
+
+    /**
+     * @notice Submit a salted hash of your ballot during the commit phase
+     * @param commitment Result of `computeCommitment(msg.sender, choices, salt)`
+     */
+    function commitVote(bytes32 commitment) external commitOpen whenNotPaused {
+        require(commitment != bytes32(0), "Empty commitment");
         
-        Voter storage voter = _voters[msg.sender];
+        VoterRegistry.Voter storage voter = _voters[msg.sender];
         require(voter.whitelisted, "You are not a whitelisted voter");
-        require(!voter.voted, "You have already voted");
         require(voter.delegate == address(0), "You have delegated your vote");
         
-        // Calculate total voting power (own weight + delegated weight)
-        uint256 totalWeight = voter.weight + voter.delegatedWeight;
-        require(totalWeight > 0, "No voting power");
+        // Re-committing before the deadline replaces the earlier hash
+        if (voter.commitment == bytes32(0)) {
+            commitCount++;
+        }
+        voter.commitment = commitment;
         
-        // Calculate quadratic votes
-        uint256 quadraticVotes = calculateQuadraticVotes(totalWeight);
+        emit VoteCommitted(msg.sender);
+    }
+
+    /**
+     * @notice Open your commitment; the ballot is counted exactly as a direct vote
+     * @param choices A single proposal ID, the ranking for ranked ballots, or votes per proposal;
+     * `[ABSTAIN]` or `[REJECT_ALL]` on any ballot type
+     * @param salt The secret used when committing
+     */
+    function revealVote(uint256[] memory choices, bytes32 salt) external inPhase(Phase.Reveal) whenNotPaused {
+        require(block.timestamp <= revealEndTime, "Reveal period has ended");
         
-        // Record vote
-        voter.voted = true;
-        voter.votedProposalId = proposalId;
+        VoterRegistry.Voter storage voter = _voters[msg.sender];
+        require(voter.commitment != bytes32(0), "No commitment to reveal");
+        require(
+            computeCommitment(msg.sender, choices, salt) == voter.commitment,
+            "Reveal does not match commitment"
+        );
         
-        // Add votes to proposal
-        _proposals[proposalId].voteCount += quadraticVotes;
-        _proposals[proposalId].rawVoteCount += totalWeight;
+        revealCount++;
         
-        emit Voted(msg.sender, proposalId, quadraticVotes, totalWeight);
+        bool option = choices.length == 1 && choices[0] >= REJECT_ALL;
+        if (_isRanked() && !option) {
+            _castRanked(choices);
+        } else if (ballotType == BallotType.Quadratic && !option) {
+            _castQuadratic(choices);
+        } else {
+            require(choices.length == 1, "Single-choice ballots reveal one proposal");
+            _castSingle(choices[0]);
+        }
     }
 
-    // ============ RESULTS ============
-    
-    function _calculateWinner() private view returns (uint256 winningId) {
-        uint256 highestVotes = 0;
-        for (uint256 i = 0; i < _proposals.length; i++) {
-            if (_proposals[i].voteCount > highestVotes) {
-                highestVotes = _proposals[i].voteCount;
-                winningId = i;
-            }
-        }
+    function _castSingle(uint256 proposalId) private {
+        VoterRegistry.castSingle(_voters, _box, msg.sender, proposalId, _ballotRules());
+    }
+
+    function _castRanked(uint256[] memory ranking) private {
+        VoterRegistry.castRanked(_voters, _box, msg.sender, ranking, _ballotRules());
+    }
+
+    function _castQuadratic(uint256[] memory votes) private {
+        VoterRegistry.castQuadratic(_voters, _box, msg.sender, votes, _ballotRules());
+    }
+
+    function _ballotRules() private view returns (VoterRegistry.BallotRules memory) {
+        return VoterRegistry.BallotRules({
+            ranked: _isRanked(),
+            rejectAllOffered: rejectAllOffered,
+            runoff: inTieRunoff,
+            // Open ballots can be changed while voting runs; revealed secret ballots are final
+            changeable: phase() == Phase.Voting
+        });
     }
 
+    // ============ RESULTS ============
+    
+    /**
+     * @notice The elected proposal; `tie` reports whether it won a tie-break
+     */
     function winningProposal() external view inPhase(Phase.Finished) returns (
         uint256 proposalId,
         string memory title,
         uint256 quadraticVotes,
-        uint256 rawVotes
+        uint256 rawVotes,
+        bool tie,
+        uint256[] memory tiedProposalIds
     ) {
-        uint256 winnerId = _calculateWinner();
-        Proposal storage winner = _proposals[winnerId];
-        return (winnerId, winner.title, winner.voteCount, winner.rawVoteCount);
+        require(outcome != Outcome.FailedQuorum, "Quorum was not reached");
+        require(outcome != Outcome.NoVotes, "No votes were cast");
+        require(outcome != Outcome.Tied, "Tie awaiting admin decision");
+        require(outcome != Outcome.Rejected, "All proposals were rejected");
+        
+        GovernanceTally.Proposal storage winner = _box.proposals[_winningProposalId];
+        return (
+            _winningProposalId,
+            winner.title,
+            winner.voteCount,
+            winner.rawVoteCount,
+            _box.tied.length > 0,
+            _box.tied
+        );
     }
     
+    /**
+     * @notice Final counts for every proposal, indexed by proposal ID; withdrawn proposals stay in place.
+     * Abstentions and rejections are read through `getProposal(ABSTAIN)` and `getProposal(REJECT_ALL)`.
+     */
     function getAllResults() external view inPhase(Phase.Finished) returns (
         string[] memory titles,
         uint256[] memory quadraticVotes,
         uint256[] memory rawVotes
     ) {
-        uint256 len = _proposals.length;
+        uint256 len = _box.proposals.length;
         titles = new string[](len);
         quadraticVotes = new uint256[](len);
         rawVotes = new uint256[](len);
         
         for (uint256 i = 0; i < len; i++) {
-            titles[i] = _proposals[i].title;
-            quadraticVotes[i] = _proposals[i].voteCount;
-            rawVotes[i] = _proposals[i].rawVoteCount;
+            titles[i] = _box.proposals[i].title;
+            quadraticVotes[i] = _box.proposals[i].voteCount;
+            rawVotes[i] = _box.proposals[i].rawVoteCount;
         }
     }
 }
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./GovernanceVoting.sol";
+
+/**
+ * @title MembershipGate
+ * @notice Gates one GovernanceVoting election on an ERC721 membership
+ * collection instead of an admin whitelist. A holder registers by presenting
+ * their tokens, and gets one vote as a member, or one vote per token. Each
+ * token can register a voter only once per election: a token that changes
+ * hands after being used cannot register its new owner. The election admin
+ * grants this contract the Registrar role; registration stays open until
+ * voting closes, and voting may start before anyone has registered.
+ */
+contract MembershipGate {
+
+    // ============ DATA STRUCTURES ============
+
+    enum WeightMode {
+        PerMember,  // Weight 1 whatever the number of tokens
+        PerToken    // Weight equals the number of tokens presented
+    }
+
+    // ============ STATE VARIABLES ============
+
+    GovernanceVoting public immutable election;
+    IERC721 public immutable collection;
+    WeightMode public immutable weightMode;
+
+    mapping(uint256 => bool) public used;
+
+    // ============ EVENTS ============
+
+    event MemberRegistered(address indexed account, uint256[] tokenIds, uint256 weight);
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(GovernanceVoting _election, IERC721 _collection, WeightMode _weightMode) {
+        require(address(_election) != address(0), "Election cannot be zero address");
+        require(address(_collection) != address(0), "Collection cannot be zero address");
+
+        election = _election;
+        collection = _collection;
+        weightMode = _weightMode;
+    }
+
+    // ============ REGISTRATION ============
+
+    /**
+     * @notice Register as a voter with membership tokens you hold
+     * @dev Every presented token is spent for this election, whatever the weight mode
+     */
+    function register(uint256[] memory tokenIds) external {
+        require(tokenIds.length > 0, "Present at least one token");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(collection.ownerOf(tokenIds[i]) == msg.sender, "You do not hold this token");
+            require(!used[tokenIds[i]], "Token already used in this election");
+            used[tokenIds[i]] = true;
+        }
+
+        uint256 weight = weightMode == WeightMode.PerMember ? 1 : tokenIds.length;
+        election.registerVoter(msg.sender, weight);
+        emit MemberRegistered(msg.sender, tokenIds, weight);
+    }
+}
@@ -0,0 +1,211 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "./GovernanceVoting.sol";
+import "./ProposalExecutor.sol";
+
+/**
+ * @title ProposalDrafts
+ * @notice Lets whitelisted voters of one GovernanceVoting election draft their
+ * own proposals during Setup. A draft goes on the ballot once enough voters
+ * (or enough voting weight) sponsor it; the admin or a proposal manager can
+ * reject a draft with a recorded reason. The election admin grants this
+ * contract the ProposalManager role so it can call `addProposal`; the board is
+ * then the author of record, and passes edits, withdrawals and executor
+ * actions on for the voter who drafted the proposal.
+ */
+contract ProposalDrafts {
+
+    // ============ DATA STRUCTURES ============
+
+    enum SponsorMode {
+        Voters,     // Threshold counts sponsoring voters
+        Weight      // Threshold counts the sponsors' total weight
+    }
+
+    enum DraftStatus {
+        Pending,
+        Accepted,
+        Rejected
+    }
+
+    struct Draft {
+        string title;
+        string description;
+        address author;
+        uint256 sponsors;
+        uint256 sponsorWeight;
+        DraftStatus status;
+        uint256 proposalId;     // Ballot ID once accepted
+        string rejectReason;
+    }
+
+    // ============ STATE VARIABLES ============
+
+    GovernanceVoting public immutable election;
+    SponsorMode public immutable sponsorMode;
+    uint256 public immutable threshold;
+
+    Draft[] private _drafts;
+    mapping(uint256 => mapping(address => bool)) public hasSponsored;
+
+    // ============ EVENTS ============
+
+    event DraftSubmitted(uint256 indexed draftId, address indexed author, string title);
+    event DraftSponsored(uint256 indexed draftId, address indexed sponsor, uint256 sponsors, uint256 sponsorWeight);
+    event DraftAccepted(uint256 indexed draftId, uint256 indexed proposalId);
+    event DraftRejected(uint256 indexed draftId, address indexed official, string reason);
+
+    // ============ MODIFIERS ============
+
+    modifier duringSetup() {
+        require(election.phase() == GovernanceVoting.Phase.Setup, "Drafts are only open during setup");
+        require(!election.paused(), "Election is paused");
+        _;
+    }
+
+    // ============ CONSTRUCTOR ============
+
+    /**
+     * @param _sponsorMode Whether `_threshold` counts voters or weight
+     * @param _threshold Sponsors (or weight) a draft needs to reach the ballot
+     */
+    constructor(GovernanceVoting _election, SponsorMode _sponsorMode, uint256 _threshold) {
+        require(address(_election) != address(0), "Election cannot be zero address");
+        require(_threshold > 0, "Threshold must be greater than 0");
+
+        election = _election;
+        sponsorMode = _sponsorMode;
+        threshold = _threshold;
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    function draftCount() external view returns (uint256) {
+        return _drafts.length;
+    }
+
+    function getDraft(uint256 draftId) external view returns (
+        string memory title,
+        string memory description,
+        address author,
+        uint256 sponsors,
+        uint256 sponsorWeight,
+        DraftStatus status,
+        uint256 proposalId,
+        string memory rejectReason
+    ) {
+        require(draftId < _drafts.length, "Invalid draft ID");
+        Draft storage draft = _drafts[draftId];
+        return (
+            draft.title,
+            draft.description,
+            draft.author,
+            draft.sponsors,
+            draft.sponsorWeight,
+            draft.status,
+            draft.proposalId,
+            draft.rejectReason
+        );
+    }
+
+    // ============ DRAFTING ============
+
+    /**
+     * @notice Draft a proposal; submitting counts as the author's sponsorship
+     */
+    function submitDraft(string memory title, string memory description) external duringSetup returns (uint256 draftId) {
+        require(bytes(title).length > 0, "Proposal title cannot be empty");
+
+        draftId = _drafts.length;
+        Draft storage draft = _drafts.push();
+        draft.title = title;
+        draft.description = description;
+        draft.author = msg.sender;
+
+        emit DraftSubmitted(draftId, msg.sender, title);
+        _sponsor(draftId);
+    }
+
+    function sponsor(uint256 draftId) external duringSetup {
+        require(draftId < _drafts.length, "Invalid draft ID");
+        require(_drafts[draftId].status == DraftStatus.Pending, "Draft is no longer pending");
+        require(!hasSponsored[draftId][msg.sender], "You have already sponsored this draft");
+        _sponsor(draftId);
+    }
+
+    /**
+     * @notice Keep a draft off the ballot, e.g. spam or a duplicate
+     * @dev Open to the admin and proposal managers; the reason is stored with the draft
+     */
+    function reject(uint256 draftId, string memory reason) external duringSetup {
+        require(
+            msg.sender == election.admin() || election.hasRole(msg.sender, GovernanceVoting.Role.ProposalManager),
+            "Only admin or role holder"
+        );
+        require(draftId < _drafts.length, "Invalid draft ID");
+        require(bytes(reason).length > 0, "Rejection reason cannot be empty");
+
+        Draft storage draft = _drafts[draftId];
+        require(draft.status == DraftStatus.Pending, "Draft is no longer pending");
+        draft.status = DraftStatus.Rejected;
+        draft.rejectReason = reason;
+
+        emit DraftRejected(draftId, msg.sender, reason);
+    }
+
+    // ============ AUTHOR ACTIONS ============
+
+    /**
+     * @notice Edit the ballot proposal a draft became, as its drafting voter
+     */
+    function editProposal(uint256 draftId, string memory title, string memory description) external {
+        election.editProposal(_acceptedDraftOf(draftId).proposalId, title, description);
+    }
+
+    function withdrawProposal(uint256 draftId) external {
+        election.withdrawProposal(_acceptedDraftOf(draftId).proposalId);
+    }
+
+    /**
+     * @notice Attach a call to the ballot proposal a draft became, through the election's ProposalExecutor
+     */
+    function addProposalAction(uint256 draftId, address target, uint256 value, bytes memory data) external {
+        _executor().addAction(_acceptedDraftOf(draftId).proposalId, target, value, data);
+    }
+
+    function clearProposalActions(uint256 draftId) external {
+        _executor().clearActions(_acceptedDraftOf(draftId).proposalId);
+    }
+
+    function _executor() private view returns (ProposalExecutor executor) {
+        executor = ProposalExecutor(payable(election.executor()));
+        require(address(executor) != address(0), "No executor installed on the election");
+    }
+
+    function _acceptedDraftOf(uint256 draftId) private view returns (Draft storage draft) {
+        require(draftId < _drafts.length, "Invalid draft ID");
+        draft = _drafts[draftId];
+        require(draft.status == DraftStatus.Accepted, "Draft is not on the ballot");
+        require(draft.author == msg.sender, "Only the draft author can do this");
+    }
+
+    function _sponsor(uint256 draftId) private {
+        (bool whitelisted, uint256 weight, , , , , ) = election.getVoter(msg.sender);
+        require(whitelisted, "Only whitelisted voters can sponsor drafts");
+
+        Draft storage draft = _drafts[draftId];
+        hasSponsored[draftId][msg.sender] = true;
+        draft.sponsors++;
+        draft.sponsorWeight += weight;
+        emit DraftSponsored(draftId, msg.sender, draft.sponsors, draft.sponsorWeight);
+
+        uint256 support = sponsorMode == SponsorMode.Voters ? draft.sponsors : draft.sponsorWeight;
+        if (support >= threshold) {
+            draft.status = DraftStatus.Accepted;
+            draft.proposalId = election.proposalCount();
+            election.addProposal(draft.title, draft.description);
+            emit DraftAccepted(draftId, draft.proposalId);
+        }
+    }
+}
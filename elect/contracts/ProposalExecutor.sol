@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "./GovernanceVoting.sol";
+
+/**
+ * @title ProposalExecutor
+ * @notice Gives the proposals of one GovernanceVoting election on-chain effect.
+ * During Setup a proposal's author, the admin or a proposal manager attaches
+ * calls (target, ETH value, calldata) to it; voters whose draft reached the
+ * ballot attach them through ProposalDrafts, the proposal's author of record.
+ * Once the election is Finished with a winner, anyone can queue the winning
+ * proposal's calls; after `delay` seconds anyone can execute them, in order
+ * and all-or-nothing. The admin can cancel a queued execution during the
+ * timelock. The election admin links the executor with `installExecutor`, and
+ * anything the calls act on (ETH held here, contracts that trust this
+ * address) must be handed to the executor.
+ */
+contract ProposalExecutor {
+
+    // ============ DATA STRUCTURES ============
+
+    struct Action {
+        address target;
+        uint256 value;      // Wei sent with the call
+        bytes data;         // Calldata; empty for a plain transfer
+    }
+
+    // ============ STATE VARIABLES ============
+
+    GovernanceVoting public immutable election;
+    uint256 public immutable delay;     // Timelock in seconds between queue and execute
+
+    mapping(uint256 => Action[]) private _actions;
+
+    // The winning proposal, once queued
+    bool public queued;
+    uint256 public queuedProposalId;
+    uint256 public eta;                 // Earliest execution time
+    bool public executed;
+    bool public canceled;
+
+    // ============ EVENTS ============
+
+    event ActionAdded(uint256 indexed proposalId, uint256 index, address indexed target, uint256 value, bytes data);
+    event ActionsCleared(uint256 indexed proposalId);
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executor);
+    event ExecutionCanceled(uint256 indexed proposalId);
+
+    // ============ MODIFIERS ============
+
+    modifier onlyElectionAdmin() {
+        require(msg.sender == election.admin(), "Only admin can perform this action");
+        _;
+    }
+
+    // ============ CONSTRUCTOR ============
+
+    /**
+     * @param _delay Seconds the winning proposal waits between queueing and execution
+     */
+    constructor(GovernanceVoting _election, uint256 _delay) {
+        require(address(_election) != address(0), "Election cannot be zero address");
+        require(_delay > 0, "Delay must be greater than 0");
+
+        election = _election;
+        delay = _delay;
+    }
+
+    // Holds the ETH that actions send
+    receive() external payable {}
+
+    // ============ VIEW FUNCTIONS ============
+
+    function actionCount(uint256 proposalId) external view returns (uint256) {
+        return _actions[proposalId].length;
+    }
+
+    function getAction(uint256 proposalId, uint256 index) external view returns (
+        address target,
+        uint256 value,
+        bytes memory data
+    ) {
+        require(index < _actions[proposalId].length, "Invalid action index");
+        Action storage action = _actions[proposalId][index];
+        return (action.target, action.value, action.data);
+    }
+
+    // ============ ACTION SETUP ============
+
+    /**
+     * @notice Attach a call to a proposal, run if the proposal wins
+     */
+    function addAction(uint256 proposalId, address target, uint256 value, bytes memory data) external {
+        _requireEditable(proposalId);
+        require(target != address(0), "Target cannot be zero address");
+
+        _actions[proposalId].push(Action({ target: target, value: value, data: data }));
+        emit ActionAdded(proposalId, _actions[proposalId].length - 1, target, value, data);
+    }
+
+    function clearActions(uint256 proposalId) external {
+        _requireEditable(proposalId);
+        delete _actions[proposalId];
+        emit ActionsCleared(proposalId);
+    }
+
+    // Same rules as editing the proposal itself
+    function _requireEditable(uint256 proposalId) private view {
+        require(election.phase() == GovernanceVoting.Phase.Setup, "Actions can only change during setup");
+        require(!election.paused(), "Election is paused");
+        require(proposalId < election.proposalCount(), "Invalid proposal ID");
+
+        (, , , , address author, bool withdrawn) = election.getProposal(proposalId);
+        require(!withdrawn, "Proposal has been withdrawn");
+        require(
+            msg.sender == author ||
+            msg.sender == election.admin() ||
+            election.hasRole(msg.sender, GovernanceVoting.Role.ProposalManager),
+            "Only the author, admin or a proposal manager"
+        );
+    }
+
+    // ============ TIMELOCK ============
+
+    /**
+     * @notice Start the timelock on the winning proposal's actions
+     * @dev Reverts through `winningProposal` unless the election finished with a winner
+     */
+    function queue() external {
+        require(election.executor() == address(this), "Executor is not installed on the election");
+        require(!queued, "Proposal already queued");
+
+        (uint256 proposalId, , , , , ) = election.winningProposal();
+        require(_actions[proposalId].length > 0, "Winning proposal has no actions");
+
+        queued = true;
+        queuedProposalId = proposalId;
+        eta = block.timestamp + delay;
+        emit ProposalQueued(proposalId, eta);
+    }
+
+    /**
+     * @notice Run the queued actions in order; one failing call reverts them all
+     */
+    function execute() external {
+        require(queued, "Nothing queued");
+        require(!executed, "Proposal already executed");
+        require(!canceled, "Execution was canceled");
+        require(block.timestamp >= eta, "Timelock has not expired");
+
+        executed = true;
+        Action[] storage actions = _actions[queuedProposalId];
+        for (uint256 i = 0; i < actions.length; i++) {
+            (bool success, bytes memory returndata) = actions[i].target.call{value: actions[i].value}(actions[i].data);
+            if (!success) {
+                // Bubble up the target's revert reason
+                if (returndata.length > 0) {
+                    assembly {
+                        revert(add(returndata, 32), mload(returndata))
+                    }
+                }
+                revert("Action failed");
+            }
+        }
+
+        emit ProposalExecuted(queuedProposalId, msg.sender);
+    }
+
+    /**
+     * @notice Stop a queued execution, e.g. when the result is disputed
+     */
+    function cancel() external onlyElectionAdmin {
+        require(queued, "Nothing queued");
+        require(!executed, "Proposal already executed");
+        require(!canceled, "Execution already canceled");
+
+        canceled = true;
+        emit ExecutionCanceled(queuedProposalId);
+    }
+}
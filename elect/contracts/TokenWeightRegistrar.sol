@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "@openzeppelin/contracts/interfaces/IERC5805.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./GovernanceVoting.sol";
+
+/**
+ * @title TokenWeightRegistrar
+ * @notice Turns one GovernanceVoting election into a token-weighted election.
+ * Instead of being whitelisted by hand, holders of an ERC20Votes token
+ * register once voting opens, with a weight equal to their voting power (in
+ * whole tokens) at the snapshot: the last second before `votingStartTime`.
+ * The election never moves `votingStartTime` once voting has opened, not even
+ * for a tie runoff, so every holder is weighed at the same point. Tokens
+ * bought or moved after voting opens do not change anyone's weight.
+ * The election admin grants this contract the Registrar role, which also
+ * lets voting start before anyone has registered.
+ *
+ * The token must keep timestamp checkpoints (ERC-6372 "mode=timestamp"). A
+ * scheduled election opens by itself, so no transaction records the block it
+ * opened in, and the block before a start time cannot be derived from the
+ * timestamp. OpenZeppelin's ERC20Votes counts block numbers unless `clock()`
+ * and `CLOCK_MODE()` are overridden, as DemoVotesToken does; a token that
+ * keeps block checkpoints is refused when the registrar is deployed.
+ */
+contract TokenWeightRegistrar {
+
+    // ============ STATE VARIABLES ============
+
+    GovernanceVoting public immutable election;
+    IERC5805 public immutable token;
+    uint256 public immutable unit;      // Token base units per unit of weight
+
+    // ============ EVENTS ============
+
+    event TokenVoterRegistered(address indexed account, uint256 weight, uint256 snapshot);
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(GovernanceVoting _election, IERC5805 _token) {
+        require(address(_election) != address(0), "Election cannot be zero address");
+        require(address(_token) != address(0), "Token cannot be zero address");
+        require(
+            keccak256(bytes(_token.CLOCK_MODE())) == keccak256("mode=timestamp"),
+            "Token must use timestamp checkpoints"
+        );
+
+        election = _election;
+        token = _token;
+        unit = 10 ** IERC20Metadata(address(_token)).decimals();
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @notice Timepoint the weights are read at, once voting has opened; fixed from then on
+     */
+    function snapshot() public view returns (uint256) {
+        require(election.phase() != GovernanceVoting.Phase.Setup, "Registration opens when voting starts");
+        return election.votingStartTime() - 1;
+    }
+
+    /**
+     * @notice Weight `account` registers with: its voting power at the snapshot in whole tokens
+     */
+    function weightOf(address account) public view returns (uint256) {
+        return token.getPastVotes(account, snapshot()) / unit;
+    }
+
+    // ============ REGISTRATION ============
+
+    /**
+     * @notice Register a token holder as a voter; anyone may register anyone, the weight is the same
+     */
+    function register(address account) external {
+        uint256 weight = weightOf(account);
+        require(weight > 0, "No token balance at the snapshot");
+
+        election.registerVoter(account, weight);
+        emit TokenVoterRegistered(account, weight, snapshot());
+    }
+}
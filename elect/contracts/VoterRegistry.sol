@@ -0,0 +1,422 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+import "./GovernanceTally.sol";
+
+// Most delegations one chain may hold, so walking a chain stays cheap
+uint256 constant MAX_CHAIN_LENGTH = 8;
+
+/**
+ * @title VoterRegistry
+ * @notice The voters of a GovernanceVoting election: who is registered with
+ * what weight, who has voted, where each voter's weight flows along its
+ * delegation chain, and the turnout those chains add up to. Casting a ballot
+ * and moving a delegation update the counts through GovernanceTally; the
+ * events they emit are declared on GovernanceVoting as well, for its ABI.
+ */
+library VoterRegistry {
+
+    // ============ DATA STRUCTURES ============
+
+    struct Voter {
+        bool whitelisted;
+        uint256 weight;           // Voting credits (tokens)
+        bool voted;
+        uint256 votedProposalId;
+        address delegate;         // Who this voter delegated to (address(0) if none)
+        uint256 delegatedWeight;  // Extra weight received from delegators, directly or through a chain
+        bytes32 commitment;       // Salted ballot hash (secret ballots only)
+        uint256 upstreamDepth;    // Delegations in the longest chain leading into this voter
+        uint256[MAX_CHAIN_LENGTH] delegatorsByDepth;   // Direct delegators, counted by their own upstreamDepth
+    }
+
+    // The election's ballot settings a cast vote is checked against
+    struct BallotRules {
+        bool ranked;              // Cast votes are ranked ballots
+        bool rejectAllOffered;    // The ballot carries the reject-all option
+        bool runoff;              // A tie runoff limits the ballot to the tied proposals
+        bool changeable;          // A vote already cast may be replaced (open ballots while voting runs)
+    }
+
+    // ============ EVENTS ============
+
+    event Voted(address indexed account, uint256 indexed proposalId, uint256 quadraticVotes, uint256 rawWeight);
+    event RankedVoteCast(address indexed account, uint256[] ranking, uint256 quadraticVotes, uint256 rawWeight);
+    event QuadraticVoteCast(address indexed account, uint256[] votes, uint256 creditsSpent);
+    event VoteChanged(address indexed account, uint256 previousProposalId);
+    event DelegationOverridden(address indexed account, address indexed formerDelegate, uint256 weight);
+    event VoteWeightChanged(address indexed account, uint256 indexed proposalId, uint256 quadraticVotes, uint256 rawWeight);
+
+    // ============ REGISTRATION ============
+
+    /**
+     * @notice Whitelist `account`, or set a registered voter's weight
+     * @dev Re-registering keeps the voter's delegation and what was delegated to them
+     */
+    function register(
+        mapping(address => Voter) storage voters,
+        address[] storage addresses,
+        address account,
+        uint256 weight
+    ) external {
+        require(account != address(0), "Cannot whitelist zero address");
+
+        if (voters[account].whitelisted) {
+            _setWeight(voters, account, weight);
+            return;
+        }
+
+        require(weight > 0, "Weight must be greater than zero");
+        addresses.push(account);
+        Voter storage voter = voters[account];
+        voter.whitelisted = true;
+        voter.weight = weight;
+    }
+
+    /**
+     * @notice Change a registered voter's weight, moving the difference along their delegation chain
+     * @return oldWeight The weight before the change
+     */
+    function updateWeight(
+        mapping(address => Voter) storage voters,
+        address account,
+        uint256 weight
+    ) external returns (uint256 oldWeight) {
+        require(voters[account].whitelisted, "Not a whitelisted voter");
+        oldWeight = voters[account].weight;
+        _setWeight(voters, account, weight);
+    }
+
+    /**
+     * @notice Unregister a voter. Anyone who delegated to them gets their own weight back,
+     * and the voter's weight leaves the chain they delegated into.
+     * @return released How many delegations to the voter were cancelled
+     */
+    function remove(
+        mapping(address => Voter) storage voters,
+        address[] storage addresses,
+        address account
+    ) external returns (uint256 released) {
+        require(voters[account].whitelisted, "Not a whitelisted voter");
+
+        uint256 index = addresses.length;
+        for (uint256 i = 0; i < addresses.length; i++) {
+            Voter storage other = voters[addresses[i]];
+            if (addresses[i] == account) {
+                index = i;
+            } else if (other.delegate == account) {
+                _removeFromChain(voters, account, other.weight + other.delegatedWeight);
+                other.delegate = address(0);
+                released++;
+            }
+        }
+
+        Voter storage voter = voters[account];
+        if (voter.delegate != address(0)) {
+            _removeFromChain(voters, voter.delegate, voter.weight);
+            _unlink(voters, account, voter.delegate);
+        }
+        delete voters[account];
+
+        // Swap and pop; voter order carries no meaning
+        addresses[index] = addresses[addresses.length - 1];
+        addresses.pop();
+    }
+
+    // Every voter down the chain received the old weight; hand them the new one instead
+    function _setWeight(mapping(address => Voter) storage voters, address account, uint256 weight) private {
+        require(weight > 0, "Weight must be greater than zero");
+        Voter storage voter = voters[account];
+        for (address current = voter.delegate; current != address(0); current = voters[current].delegate) {
+            voters[current].delegatedWeight = voters[current].delegatedWeight - voter.weight + weight;
+        }
+        voter.weight = weight;
+    }
+
+    // Forget every cast ballot, commitment and count, keeping weights and delegations
+    function clearBallots(
+        mapping(address => Voter) storage voters,
+        address[] storage addresses,
+        GovernanceTally.BallotBox storage box
+    ) external {
+        for (uint256 i = 0; i < addresses.length; i++) {
+            Voter storage voter = voters[addresses[i]];
+            voter.voted = false;
+            voter.votedProposalId = 0;
+            voter.commitment = bytes32(0);
+            delete box.quadraticAllocations[addresses[i]];
+        }
+        GovernanceTally.resetCounts(box);
+    }
+
+    // ============ CASTING ============
+
+    /**
+     * @notice Check that `account` may vote, count its single choice and record it
+     */
+    function castSingle(
+        mapping(address => Voter) storage voters,
+        GovernanceTally.BallotBox storage box,
+        address account,
+        uint256 proposalId,
+        BallotRules memory rules
+    ) external {
+        uint256 totalWeight = _markVoted(voters, box, account, proposalId, rules);
+        uint256 quadraticVotes = GovernanceTally.castSingle(
+            box, proposalId, totalWeight, rules.rejectAllOffered, rules.runoff
+        );
+        emit Voted(account, proposalId, quadraticVotes, totalWeight);
+    }
+
+    function castRanked(
+        mapping(address => Voter) storage voters,
+        GovernanceTally.BallotBox storage box,
+        address account,
+        uint256[] memory ranking,
+        BallotRules memory rules
+    ) external {
+        GovernanceTally.checkRanking(box, ranking, rules.runoff);
+        uint256 totalWeight = _markVoted(voters, box, account, ranking[0], rules);
+        uint256 quadraticVotes = GovernanceTally.castRanked(box, account, ranking, totalWeight);
+        emit RankedVoteCast(account, ranking, quadraticVotes, totalWeight);
+    }
+
+    function castQuadratic(
+        mapping(address => Voter) storage voters,
+        GovernanceTally.BallotBox storage box,
+        address account,
+        uint256[] memory votes,
+        BallotRules memory rules
+    ) external {
+        // A changed vote must leave the counts before the new allocation replaces it
+        uint256 totalWeight = _markVoted(voters, box, account, 0, rules);
+        (uint256 creditsSpent, uint256 topChoice) = GovernanceTally.castQuadratic(
+            box, account, votes, totalWeight, rules.runoff
+        );
+        voters[account].votedProposalId = topChoice;
+        emit QuadraticVoteCast(account, votes, creditsSpent);
+    }
+
+    // Checks eligibility and records the vote; a vote already cast leaves the counts first,
+    // and voting directly withdraws a delegation
+    function _markVoted(
+        mapping(address => Voter) storage voters,
+        GovernanceTally.BallotBox storage box,
+        address account,
+        uint256 proposalId,
+        BallotRules memory rules
+    ) private returns (uint256 totalWeight) {
+        Voter storage voter = voters[account];
+        require(voter.whitelisted, "You are not a whitelisted voter");
+        totalWeight = votingPower(voters, account);
+        require(totalWeight > 0, "No voting power");
+
+        if (voter.voted) {
+            require(rules.changeable, "You have already voted");
+            GovernanceTally.retract(box, account, voter.votedProposalId, totalWeight, rules.ranked);
+            emit VoteChanged(account, voter.votedProposalId);
+        } else if (voter.delegate != address(0)) {
+            // The weight is pulled back from the chain, shrinking the delegate's vote if already cast
+            address formerDelegate = voter.delegate;
+            _redelegate(voters, box, account, address(0), rules.ranked);
+            emit DelegationOverridden(account, formerDelegate, totalWeight);
+        }
+
+        voter.voted = true;
+        voter.votedProposalId = proposalId;
+    }
+
+    // ============ DELEGATION CHAINS ============
+
+    /**
+     * @notice Point `account`'s delegation at `to`, or withdraw it when `to` is zero,
+     * and re-weight the votes already cast at the end of the chain it left and the one it joined
+     * @param ranked Whether cast votes are ranked ballots
+     * @return power The weight that moved: the voter's own plus what was delegated to them
+     */
+    function redelegate(
+        mapping(address => Voter) storage voters,
+        GovernanceTally.BallotBox storage box,
+        address account,
+        address to,
+        bool ranked
+    ) external returns (uint256 power) {
+        return _redelegate(voters, box, account, to, ranked);
+    }
+
+    function _redelegate(
+        mapping(address => Voter) storage voters,
+        GovernanceTally.BallotBox storage box,
+        address account,
+        address to,
+        bool ranked
+    ) private returns (uint256 power) {
+        Voter storage sender = voters[account];
+        require(sender.whitelisted, "You are not a whitelisted voter");
+        if (to != address(0)) {
+            require(!sender.voted, "You have already voted");
+            require(to != account, "Cannot delegate to yourself");
+            require(voters[to].whitelisted, "Delegate is not a whitelisted voter");
+        }
+
+        power = sender.weight + sender.delegatedWeight;
+        address formerLast;
+        address newLast;
+        if (sender.delegate != address(0)) {
+            formerLast = _removeFromChain(voters, sender.delegate, power);
+            _unlink(voters, account, sender.delegate);
+        }
+        sender.delegate = to;
+        if (to != address(0)) {
+            newLast = _addToChain(voters, to, account, power);
+            _link(voters, account, to);
+        }
+
+        // A move within one chain leaves its end's total as it was. Otherwise
+        // neither end lies on the other chain, so only `power` changed at each.
+        if (formerLast == newLast) return power;
+        if (formerLast != address(0)) {
+            uint256 total = votingPower(voters, formerLast);
+            _adjustCastVote(voters, box, formerLast, total + power, total, ranked);
+        }
+        if (newLast != address(0)) {
+            uint256 total = votingPower(voters, newLast);
+            _adjustCastVote(voters, box, newLast, total - power, total, ranked);
+        }
+    }
+
+    // Re-weights a vote that was already cast when delegated weight joins or leaves it.
+    // A quadratic allocation is scaled down to the remaining credits; new credits stay unspent.
+    function _adjustCastVote(
+        mapping(address => Voter) storage voters,
+        GovernanceTally.BallotBox storage box,
+        address account,
+        uint256 oldTotal,
+        uint256 newTotal,
+        bool ranked
+    ) private {
+        Voter storage voter = voters[account];
+        if (!voter.voted) return;
+
+        uint256 newVotes = GovernanceTally.reweigh(box, account, voter.votedProposalId, oldTotal, newTotal, ranked);
+        emit VoteWeightChanged(account, voter.votedProposalId, newVotes, newTotal);
+    }
+
+    /**
+     * @notice Own weight plus everything delegated to the account
+     */
+    function votingPower(mapping(address => Voter) storage voters, address account) internal view returns (uint256) {
+        return voters[account].weight + voters[account].delegatedWeight;
+    }
+
+    // Credit `amount` to every voter from `start` to the end of its chain; meeting `origin` again means a loop.
+    // The chains already leading into `origin` count towards the length of the joined chain.
+    function _addToChain(
+        mapping(address => Voter) storage voters,
+        address start,
+        address origin,
+        uint256 amount
+    ) private returns (address last) {
+        uint256 depth = voters[origin].upstreamDepth;
+        last = start;
+        for (address current = start; current != address(0); current = voters[current].delegate) {
+            require(current != origin, "Delegation loop detected");
+            require(depth < MAX_CHAIN_LENGTH, "Delegation chain too long");
+            voters[current].delegatedWeight += amount;
+            last = current;
+            depth++;
+        }
+    }
+
+    // Undo `_addToChain`; only loop-free chains exist, so this always terminates
+    function _removeFromChain(
+        mapping(address => Voter) storage voters,
+        address start,
+        uint256 amount
+    ) private returns (address last) {
+        last = start;
+        for (address current = start; current != address(0); current = voters[current].delegate) {
+            voters[current].delegatedWeight -= amount;
+            last = current;
+        }
+    }
+
+    // Record `account` as a direct delegator of `to`
+    function _link(mapping(address => Voter) storage voters, address account, address to) private {
+        voters[to].delegatorsByDepth[voters[account].upstreamDepth]++;
+        _refreshDepth(voters, to);
+    }
+
+    function _unlink(mapping(address => Voter) storage voters, address account, address from) private {
+        voters[from].delegatorsByDepth[voters[account].upstreamDepth]--;
+        _refreshDepth(voters, from);
+    }
+
+    // Recompute `upstreamDepth` from the direct delegators, passing any change down the chain
+    function _refreshDepth(mapping(address => Voter) storage voters, address account) private {
+        for (address current = account; current != address(0); current = voters[current].delegate) {
+            Voter storage voter = voters[current];
+            uint256 depth = 0;
+            for (uint256 d = MAX_CHAIN_LENGTH; d > 0; d--) {
+                if (voter.delegatorsByDepth[d - 1] > 0) {
+                    depth = d;
+                    break;
+                }
+            }
+            if (depth == voter.upstreamDepth) return;
+
+            if (voter.delegate != address(0)) {
+                Voter storage next = voters[voter.delegate];
+                next.delegatorsByDepth[voter.upstreamDepth]--;
+                next.delegatorsByDepth[depth]++;
+            }
+            voter.upstreamDepth = depth;
+        }
+    }
+
+    /**
+     * @notice Follow a voter's delegation chain; the last entry casts the vote
+     */
+    function delegationChain(mapping(address => Voter) storage voters, address account)
+        external
+        view
+        returns (address[] memory chain)
+    {
+        uint256 length = 0;
+        for (address current = voters[account].delegate; current != address(0); current = voters[current].delegate) {
+            length++;
+        }
+
+        chain = new address[](length);
+        address next = voters[account].delegate;
+        for (uint256 i = 0; i < length; i++) {
+            chain[i] = next;
+            next = voters[next].delegate;
+        }
+    }
+
+    // ============ TURNOUT ============
+
+    /**
+     * @notice Count registered voters (or their weight) and how many took part
+     * @dev A delegator counts as taking part once the end of their chain has voted
+     */
+    function turnout(
+        mapping(address => Voter) storage voters,
+        address[] storage addresses,
+        bool byWeight
+    ) external view returns (uint256 participated, uint256 eligible) {
+        for (uint256 i = 0; i < addresses.length; i++) {
+            uint256 share = byWeight ? voters[addresses[i]].weight : 1;
+            eligible += share;
+
+            address last = addresses[i];
+            while (voters[last].delegate != address(0)) {
+                last = voters[last].delegate;
+            }
+            if (voters[last].voted) {
+                participated += share;
+            }
+        }
+    }
+}
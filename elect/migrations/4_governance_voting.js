@@ -1,3 +1,5 @@
+const GovernanceTally = artifacts.require("GovernanceTally");
+const VoterRegistry = artifacts.require("VoterRegistry");
 const GovernanceVoting = artifacts.require("GovernanceVoting");
 
 module.exports = async function (deployer) {
@@ -9,10 +11,21 @@ module.exports = async function (deployer) {
     "Expand Online Programs"
   ];
 
-  await deployer.deploy(GovernanceVoting, electionName, initialProposals);
+  // Quorum: 0 = share of voters, 1 = share of voting weight
+  const quorumType = 0;
+  const quorumPercent = 25;
+
+  await deployer.deploy(GovernanceTally);
+  await deployer.link(GovernanceTally, GovernanceVoting);
+  // VoterRegistry counts cast ballots through GovernanceTally, so it is linked as well
+  await deployer.link(GovernanceTally, VoterRegistry);
+  await deployer.deploy(VoterRegistry);
+  await deployer.link(VoterRegistry, GovernanceVoting);
+  await deployer.deploy(GovernanceVoting, electionName, initialProposals, quorumType, quorumPercent);
   
   const instance = await GovernanceVoting.deployed();
   console.log("✅ GovernanceVoting deployed at:", instance.address);
   console.log("📋 Election:", electionName);
   console.log("📝 Initial proposals:", initialProposals.length);
+  console.log("🗳️  Quorum:", `${quorumPercent}% of ${quorumType === 0 ? "voters" : "voting weight"}`);
 };
@@ -0,0 +1,14 @@
+const GovernanceVoting = artifacts.require("GovernanceVoting");
+const ElectionFactory = artifacts.require("ElectionFactory");
+
+module.exports = async function (deployer, network, accounts) {
+  // Clones only borrow the deployed election's code, never its state
+  const election = await GovernanceVoting.deployed();
+  await deployer.deploy(ElectionFactory, election.address);
+
+  const factory = await ElectionFactory.deployed();
+  await factory.registerElection(election.address, "council", { from: accounts[0] });
+
+  console.log("✅ ElectionFactory deployed at:", factory.address);
+  console.log("📚 Listed elections:", (await factory.electionCount()).toNumber());
+};
@@ -0,0 +1,10 @@
+const DemoVotesToken = artifacts.require("DemoVotesToken");
+
+module.exports = async function (deployer) {
+  // Token for trying token-weighted elections; hand it out with scripts/token-faucet.js
+  await deployer.deploy(DemoVotesToken);
+
+  const token = await DemoVotesToken.deployed();
+  console.log("✅ DemoVotesToken deployed at:", token.address);
+  console.log("🚰 Fund voters with: npm run faucet");
+};
@@ -0,0 +1,15 @@
+const DemoMembership = artifacts.require("DemoMembership");
+
+module.exports = async function (deployer, network, accounts) {
+  // Collection for trying membership-gated elections; the first account issues, the next five are members
+  await deployer.deploy(DemoMembership);
+
+  const collection = await DemoMembership.deployed();
+  const members = accounts.slice(1, 6);
+  for (const member of members) {
+    await collection.issue(member, { from: accounts[0] });
+  }
+
+  console.log("✅ DemoMembership deployed at:", collection.address);
+  console.log("🎫 Memberships issued:", members.length);
+};
@@ -0,0 +1,87 @@
+/**
+ * Builds the voter eligibility Merkle tree for GovernanceVoting.setEligibilityRoot.
+ *
+ * Usage: node scripts/build-merkle-tree.js <voters.csv> [outDir]
+ *   voters.csv  One "address,weight" row per voter (a header row is optional)
+ *   outDir      Defaults to src/proofs so lite-server serves the proofs to the dApp
+ *
+ * Writes tree.json (the full tree dump) and one <address>.json proof file per voter.
+ */
+const fs = require("fs");
+const path = require("path");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+function parseVoters(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+
+  // Skip a header row such as "address,weight"
+  if (lines.length > 0 && !/^0x/i.test(lines[0])) {
+    lines.shift();
+  }
+
+  const seen = {};
+  const errors = [];
+  const values = [];
+
+  lines.forEach((line, index) => {
+    const [address = "", weight = ""] = line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ""));
+    const key = address.toLowerCase();
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      errors.push(`Row ${index + 1}: invalid address "${address}"`);
+    } else if (!/^\d+$/.test(weight) || BigInt(weight) === 0n) {
+      errors.push(`Row ${index + 1}: weight must be a positive whole number`);
+    } else if (seen[key] !== undefined) {
+      errors.push(`Row ${index + 1}: duplicate of row ${seen[key] + 1}`);
+    } else {
+      seen[key] = index;
+      // Lowercase avoids checksum errors from mixed-case input
+      values.push([key, weight]);
+    }
+  });
+
+  return { values, errors };
+}
+
+function main() {
+  const [input, outDir = path.join(__dirname, "..", "src", "proofs")] = process.argv.slice(2);
+  if (!input) {
+    console.error("Usage: node scripts/build-merkle-tree.js <voters.csv> [outDir]");
+    process.exit(1);
+  }
+
+  const { values, errors } = parseVoters(fs.readFileSync(input, "utf8"));
+  if (errors.length > 0) {
+    console.error("❌ Fix these rows and run again:");
+    errors.forEach((error) => console.error("   " + error));
+    process.exit(1);
+  }
+  if (values.length === 0) {
+    console.error("❌ No voters found in", input);
+    process.exit(1);
+  }
+
+  const tree = StandardMerkleTree.of(values, ["address", "uint256"]);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, "tree.json"), JSON.stringify(tree.dump(), null, 2));
+
+  for (const [index, [address, weight]] of tree.entries()) {
+    const proofFile = {
+      address,
+      weight,
+      root: tree.root,
+      proof: tree.getProof(index)
+    };
+    fs.writeFileSync(path.join(outDir, `${address}.json`), JSON.stringify(proofFile, null, 2));
+  }
+
+  console.log("✅ Merkle root:", tree.root);
+  console.log("📋 Voters:", values.length);
+  console.log("📁 Proof files written to", outDir);
+}
+
+main();
@@ -0,0 +1,75 @@
+/**
+ * Hands out DemoVotesToken on Ganache so token-weighted elections have voters.
+ *
+ * Usage: truffle exec scripts/token-faucet.js [amount] [address ...]
+ *   amount   Whole tokens per recipient, default 100
+ *   address  Recipients; defaults to every Ganache account except the first (the deployer and usual admin)
+ *
+ * Mints from the token owner (the migration's deployer). ERC20Votes only counts delegated tokens, so
+ * recipients that are unlocked Ganache accounts delegate to themselves; anyone else must do so before
+ * the election's voting starts.
+ */
+const DemoVotesToken = artifacts.require("DemoVotesToken");
+
+// Gas estimates made in the same second as the last checkpoint leave out the next checkpoint's storage
+const TOKEN_GAS = 300000;
+
+function parseArgs() {
+  const scriptIndex = process.argv.findIndex((arg) => arg.endsWith("token-faucet.js"));
+  const args = [];
+  for (let i = scriptIndex + 1; i < process.argv.length; i++) {
+    // Truffle's own options, e.g. --network development
+    if (process.argv[i].startsWith("--")) {
+      i++;
+      continue;
+    }
+    args.push(process.argv[i]);
+  }
+
+  let amount = "100";
+  if (args.length > 0 && /^\d+$/.test(args[0])) {
+    amount = args.shift();
+  }
+  const invalid = args.filter((address) => !/^0x[a-fA-F0-9]{40}$/.test(address));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid address: ${invalid.join(", ")}`);
+  }
+  return { amount, recipients: args };
+}
+
+async function main() {
+  const { amount, recipients } = parseArgs();
+  const accounts = await web3.eth.getAccounts();
+  const token = await DemoVotesToken.deployed();
+  const owner = await token.owner();
+  const decimals = (await token.decimals()).toNumber();
+  const value = web3.utils.toBN(amount).mul(web3.utils.toBN(10).pow(web3.utils.toBN(decimals)));
+  const unlocked = accounts.map((account) => account.toLowerCase());
+
+  const targets = recipients.length > 0 ? recipients : accounts.slice(1);
+  console.log(`🚰 Sending ${amount} DGT to ${targets.length} account(s) from ${token.address}`);
+
+  for (const recipient of targets) {
+    await token.mint(recipient, value, { from: owner, gas: TOKEN_GAS });
+
+    let note = "";
+    if (!unlocked.includes(recipient.toLowerCase())) {
+      note = " (delegate to yourself in a wallet before voting starts)";
+    } else if ((await token.delegates(recipient)) === "0x0000000000000000000000000000000000000000") {
+      await token.delegate(recipient, { from: recipient, gas: TOKEN_GAS });
+      note = " (self-delegated)";
+    }
+    const balance = web3.utils.toBN(await token.balanceOf(recipient)).div(web3.utils.toBN(10).pow(web3.utils.toBN(decimals)));
+    console.log(`   ${recipient}: ${balance.toString()} DGT${note}`);
+  }
+}
+
+module.exports = async function (callback) {
+  try {
+    await main();
+    callback();
+  } catch (error) {
+    console.error("❌", error.message);
+    callback(error);
+  }
+};
@@ -1,6 +1,13 @@
 /**
  * Governance Voting DApp
- * Features: Voter Delegation, Time-Based Voting, Quadratic Voting
+ * Features: Voter Delegation, Time-Based Voting, Quadratic Voting, Ranked-Choice Ballots,
+ * Quadratic Credit Ballots, Commit-Reveal Secret Ballots, Merkle-Proof Eligibility,
+ * Quorum Thresholds, Tie-Break Policies, Scheduled Voting Windows, Voting Extensions,
+ * Pause-Aware Voting Clock, Multi-Election Registry, Browser Election Deployment,
+ * Role-Based Election Officials, K-of-N Council Approvals, Voter Drafts,
+ * Proposal Editing & Withdrawal, Voter Weight Updates & Removal, Abstain & Reject-All Options,
+ * Vote Changes Before the Deadline, Executable Proposals with Timelock, ERC20Votes Token Weights,
+ * NFT Membership Gating
  */
 App = {
   web3Provider: null,
@@ -8,8 +15,57 @@ App = {
   contracts: {},
   account: null,
   contractInstance: null,
+  factoryInstance: null,
+  councilInstance: null,
+  councilActionLabels: ["Close voting", "Pause election", "Resume election"],
+  draftsInstance: null,
+  draftStatusLabels: ["Pending", "On ballot", "Rejected"],
+  executorInstance: null,
+  tokenRegistrar: null,
+  membershipGate: null,
+  membershipTokens: null,
+  proposalActions: [],
+  proposalTab: "ballot",
+  proposalDetails: [],
+  editingProposalId: null,
+  wizardStep: 0,
+  wizardStepCount: 5,
+  deployGasLimit: 6700000,  // Ganache's block limit; the deployment test checks GovernanceVoting fits it with ten proposals
   timerInterval: null,
-  phaseLabels: ["Setup", "Voting", "Finished"],
+  phaseLabels: ["Setup", "Voting", "Commit", "Reveal", "Finished"],
+  phaseId: 0,
+  ballotTypes: { SINGLE: 0, RANKED_CHOICE: 1, QUADRATIC: 2 },
+  ballotTypeLabels: ["Single Choice", "Ranked Choice", "Quadratic"],
+  ballotType: 0,
+  outcomes: { PENDING: 0, DECIDED: 1, FAILED_QUORUM: 2, NO_VOTES: 3, TIED: 4, REJECTED: 5 },
+  // Choice IDs GovernanceVoting reserves for ABSTAIN and REJECT_ALL, past any proposal ID
+  ballotOptions: [
+    { id: "0x" + "f".repeat(64), label: "Abstain" },
+    { id: "0x" + "f".repeat(63) + "e", label: "Reject all" }
+  ],
+  rejectAllOffered: false,
+  tieBreakPolicies: { RAW_WEIGHT: 0, ADMIN_DECISION: 1, SEEDED_RANDOM: 2, RUNOFF: 3 },
+  tieBreakLabels: ["raw weight", "admin decision", "seeded random draw", "runoff vote"],
+  inTieRunoff: false,
+  votingScheduled: false,
+  timerSyncSeconds: 15,
+  tiedProposals: [],
+  quorumTypeLabels: ["registered voters", "registered voting weight"],
+  // Contract Role enum order, with the #adminActions duty each role unlocks
+  roles: [
+    { duty: "whitelist", label: "Whitelisting official" },
+    { duty: "proposals", label: "Proposal manager" },
+    { duty: "pauser", label: "Pauser" },
+    { duty: "registrar", label: "Voter registrar" }
+  ],
+  creditBudget: 0,
+  draggedItem: null,
+  secretBallot: false,
+  whitelistChunkSize: 50,
+  eligibilityRoot: null,
+  eligibilityProof: null,
+  voterWhitelisted: false,
+  batchRows: [],
   isPaused: false,
   historyLimit: 8,
   eventSource: null,
@@ -62,15 +118,19 @@ App = {
       const data = await $.getJSON("GovernanceVoting.json");
       App.contracts.GovernanceVoting = TruffleContract(data);
       App.contracts.GovernanceVoting.setProvider(App.web3Provider);
-      App.contractInstance = await App.contracts.GovernanceVoting.deployed();
-      if (App.web3 && App.web3.eth && typeof App.web3.eth.Contract === "function") {
-        App.eventSource = new App.web3.eth.Contract(data.abi, App.contractInstance.address);
+      App.factoryInstance = await App.loadFactory();
+
+      // A ?election=0x... link opens that election instead of the migrated one
+      const requested = new URLSearchParams(window.location.search).get("election");
+      if (requested && App.isValidAddress(requested)) {
+        App.useElection(await App.contracts.GovernanceVoting.at(requested));
       } else {
-        App.eventSource = App.contractInstance; // fallback for legacy web3
+        App.useElection(await App.contracts.GovernanceVoting.deployed());
       }
 
       await App.loadAccount();
       App.bindEvents();
+      await App.renderElectionPicker();
       return App.refreshState();
     } catch (error) {
       App.setStatus("Failed to load contract. Make sure you ran 'truffle migrate --reset'");
@@ -78,6 +138,29 @@ App = {
     }
   },
 
+  // The registry is optional: without it the dApp runs the single migrated election
+  loadFactory: async function () {
+    try {
+      const data = await $.getJSON("ElectionFactory.json");
+      App.contracts.ElectionFactory = TruffleContract(data);
+      App.contracts.ElectionFactory.setProvider(App.web3Provider);
+      return await App.contracts.ElectionFactory.deployed();
+    } catch (error) {
+      console.warn("ElectionFactory not deployed; election picker disabled", error);
+      return null;
+    }
+  },
+
+  useElection: function (instance) {
+    App.contractInstance = instance;
+    const abi = App.contracts.GovernanceVoting.abi;
+    if (App.web3 && App.web3.eth && typeof App.web3.eth.Contract === "function") {
+      App.eventSource = new App.web3.eth.Contract(abi, instance.address);
+    } else {
+      App.eventSource = instance; // fallback for legacy web3
+    }
+  },
+
   loadAccount: async function () {
     let accounts = [];
     if (window.ethereum && window.ethereum.request) {
@@ -111,14 +194,68 @@ App = {
   bindEvents: function () {
     $("#addProposalForm").on("submit", App.handleAddProposal);
     $("#whitelistForm").on("submit", App.handleWhitelist);
+    $("#manageVoterAddress").on("change", App.lookupManagedVoter);
+    $("#manageVoterForm").on("submit", App.handleUpdateVoterWeight);
+    $("#removeVoterBtn").on("click", App.handleRemoveVoter);
+    $("#whitelistFile").on("change", App.handleWhitelistFile);
+    $("#batchWhitelistForm").on("submit", App.handleBatchWhitelist);
+    $("#eligibilityRootForm").on("submit", App.handleSetEligibilityRoot);
+    $("#proofFile").on("change", App.handleProofFile);
     $("#delegateForm").on("submit", App.handleDelegate);
     $("#removeDelegateBtn").on("click", App.handleRemoveDelegate);
     $("#startVotingBtn").on("click", App.handleStartVoting);
+    $("#scheduleVotingBtn").on("click", App.handleScheduleVoting);
     $("#closeVotingBtn").on("click", App.handleCloseVoting);
+    $("#extendVotingForm").on("submit", App.handleExtendVoting);
     $("#pauseElectionBtn").on("click", App.handlePauseElection);
     $("#resumeElectionBtn").on("click", App.handleResumeElection);
     $("#voteBtn").on("click", App.handleVote);
+    $("#setBallotTypeBtn").on("click", App.handleSetBallotType);
+    $("#quadraticBallot").on("input change", ".quadratic-slider", App.updateQuadraticBallot);
+    $("#setSecretBallotBtn").on("click", App.handleSetSecretBallot);
+    $("#setRejectAllBtn").on("click", App.handleSetRejectAll);
+    $("#setTieBreakBtn").on("click", App.handleSetTieBreakPolicy);
+    $("#setElectorateBtn").on("click", App.handleSetElectorateSize);
+    $("#tieBreakSelect").on("change", () => {
+      $("#tieBreakSeedGroup").toggle(parseInt($("#tieBreakSelect").val(), 10) === App.tieBreakPolicies.SEEDED_RANDOM);
+    });
+    $("#tieDecision").on("click", ".btn-resolve-tie", App.handleResolveTie);
+    App.bindRankedBallot();
     $("#historyRefreshBtn").on("click", App.refreshHistory);
+    $("#electionPicker").on("change", App.handleSwitchElection);
+    $("#openWizardBtn").on("click", App.openWizard);
+    $("#wizardBackBtn").on("click", () => App.showWizardStep(App.wizardStep - 1));
+    $("#wizardNextBtn").on("click", App.handleWizardNext);
+    $("#newElectionForm").on("submit", App.handleDeployElection);
+    $("#roleForm").on("submit", (event) => App.handleSetRole(event, true));
+    $("#revokeRoleBtn").on("click", (event) => App.handleSetRole(event, false));
+    $("#transferAdminForm").on("submit", App.handleTransferAdmin);
+    $("#councilForm").on("submit", App.handleInstallCouncil);
+    $("#councilProposeGroup").on("click", ".btn-council-propose", App.handleCouncilPropose);
+    $("#councilQueue").on("click", ".btn-council-approve", App.handleCouncilApprove);
+    $("#councilQueue").on("click", ".btn-council-execute", App.handleCouncilExecute);
+    $("#draftsSetupForm").on("submit", App.handleDeployDrafts);
+    $("#proposalTabs").on("click", "a", (event) => {
+      event.preventDefault();
+      App.showProposalTab($(event.currentTarget).data("tab"));
+    });
+    $("#draftForm").on("submit", App.handleSubmitDraft);
+    $("#draftsList").on("click", ".btn-sponsor-draft", App.handleSponsorDraft);
+    $("#draftsList").on("click", ".btn-reject-draft", App.handleRejectDraft);
+    $("#proposalsTable").on("click", ".btn-edit-proposal", App.handleEditProposalClick);
+    $("#proposalsTable").on("click", ".btn-withdraw-proposal", App.handleWithdrawProposal);
+    $("#editProposalForm").on("submit", App.handleSaveProposal);
+    $("#cancelEditProposalBtn").on("click", App.closeProposalEditor);
+    $("#executorSetupForm").on("submit", App.handleDeployExecutor);
+    $("#tokenWeightsForm").on("submit", App.handleDeployTokenRegistrar);
+    $("#tokenRegisterBtn").on("click", App.handleTokenRegister);
+    $("#membershipForm").on("submit", App.handleDeployMembershipGate);
+    $("#membershipRegisterBtn").on("click", App.handleMembershipRegister);
+    $("#actionForm").on("submit", App.handleAddAction);
+    $("#proposalsTable").on("click", ".btn-clear-actions", App.handleClearActions);
+    $("#executionPanel").on("click", ".btn-queue-actions", App.handleQueueActions);
+    $("#executionPanel").on("click", ".btn-execute-actions", App.handleExecuteActions);
+    $("#executionPanel").on("click", ".btn-cancel-execution", App.handleCancelExecution);
 
     if (window.ethereum && window.ethereum.on) {
       window.ethereum.on("accountsChanged", async () => {
@@ -128,6 +265,321 @@ App = {
     }
   },
 
+  // ============ ELECTION REGISTRY ============
+
+  renderElectionPicker: async function () {
+    const picker = $("#electionPicker");
+    if (!App.factoryInstance) {
+      picker.hide();
+      return;
+    }
+
+    const current = App.contractInstance.address.toLowerCase();
+    let listed = false;
+    picker.empty();
+
+    // Newest first
+    const count = (await App.factoryInstance.electionCount()).toNumber();
+    for (let i = count - 1; i >= 0; i--) {
+      const info = await App.factoryInstance.getElection(i);
+      const address = (info.election || info[0]).toLowerCase();
+      const name = info.name || info[1];
+      const category = info.category || info[2];
+      picker.append($("<option>").val(address).text(category ? `${name} · ${category}` : name));
+      listed = listed || address === current;
+    }
+
+    if (!listed) {
+      picker.prepend($("<option>").val(current).text(`Unlisted election ${App.formatAddress(current)}`));
+    }
+    picker.val(current).toggle(picker.children().length > 1 || !listed);
+  },
+
+  handleSwitchElection: async function () {
+    const address = $("#electionPicker").val();
+    if (!address || address === App.contractInstance.address.toLowerCase()) {
+      return;
+    }
+    return App.switchElection(address);
+  },
+
+  switchElection: async function (address) {
+    try {
+      App.useElection(await App.contracts.GovernanceVoting.at(address));
+      const url = new URL(window.location.href);
+      url.searchParams.set("election", address);
+      window.history.replaceState(null, "", url.toString());
+
+      App.setFeedback("");
+      await App.renderElectionPicker();
+      await App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  // ============ NEW ELECTION WIZARD ============
+
+  openWizard: function () {
+    $("#openWizardBtn").hide();
+    $("#wizardCategoryGroup").toggle(!!App.factoryInstance);
+    $("#newElectionForm").show();
+    App.showWizardStep(0);
+  },
+
+  showWizardStep: function (step) {
+    App.wizardStep = Math.max(0, Math.min(step, App.wizardStepCount - 1));
+    $(".wizard-step").each(function () {
+      $(this).toggle(parseInt($(this).data("step"), 10) === App.wizardStep);
+    });
+    $(".wizard-steps li").each(function () {
+      const index = parseInt($(this).data("step"), 10);
+      $(this).toggleClass("active", index === App.wizardStep).toggleClass("done", index < App.wizardStep);
+    });
+
+    const lastStep = App.wizardStep === App.wizardStepCount - 1;
+    $("#wizardBackBtn").toggle(App.wizardStep > 0).prop("disabled", false);
+    $("#wizardNextBtn").toggle(!lastStep);
+    $("#wizardDeployBtn").toggle(lastStep).prop("disabled", false);
+    $("#wizardError").hide();
+    if (lastStep) {
+      App.renderWizardReview();
+    }
+  },
+
+  handleWizardNext: function () {
+    try {
+      App.readWizard(App.wizardStep);
+      App.showWizardStep(App.wizardStep + 1);
+    } catch (error) {
+      $("#wizardError").text(error.message).show();
+    }
+  },
+
+  // Validates the steps up to `lastStep` and returns the election settings
+  readWizard: function (lastStep) {
+    const settings = {
+      name: $("#wizardName").val().trim(),
+      category: $("#wizardCategory").val().trim(),
+      quorumType: parseInt($("#wizardQuorumType").val(), 10),
+      quorumPercent: parseInt($("#wizardQuorumPercent").val(), 10),
+      proposals: $("#wizardProposals").val().split("\n").map((title) => title.trim()).filter((title) => title),
+      voters: App.validateWhitelistRows(App.parseWhitelistFile("voters.csv", $("#wizardVoters").val())),
+      start: $("#wizardStart").val() ? Math.floor(new Date($("#wizardStart").val()).getTime() / 1000) : 0,
+      end: $("#wizardEnd").val() ? Math.floor(new Date($("#wizardEnd").val()).getTime() / 1000) : 0
+    };
+
+    if (!settings.name) {
+      throw new Error("Give the election a name");
+    }
+    if (isNaN(settings.quorumPercent) || settings.quorumPercent < 0 || settings.quorumPercent > 100) {
+      throw new Error("Quorum must be between 0% and 100%");
+    }
+    const invalid = settings.voters.find((row) => row.status !== "ok");
+    if (lastStep >= 2 && invalid) {
+      throw new Error(`Voter row ${invalid.row}: ${invalid.status}`);
+    }
+    if (lastStep >= 2 && settings.voters.some((row) => row.address.toLowerCase() === (App.account || "").toLowerCase())) {
+      throw new Error("You become the admin, and the admin cannot be a voter");
+    }
+    if (lastStep >= 3 && (settings.start || settings.end)) {
+      if (!settings.start || !settings.end) {
+        throw new Error("Pick both an opening and a closing time, or neither");
+      }
+      if (settings.start <= Math.floor(Date.now() / 1000)) {
+        throw new Error("The opening time must be in the future");
+      }
+      if (settings.end <= settings.start) {
+        throw new Error("The closing time must be after the opening time");
+      }
+      // scheduleVoting refuses an election with nothing to vote on or nobody to vote
+      if (!settings.proposals.length || !settings.voters.length) {
+        throw new Error("Scheduling needs at least one proposal and one voter. Leave the window empty to schedule it from the admin controls after registering voters another way.");
+      }
+    }
+    return settings;
+  },
+
+  renderWizardReview: function () {
+    const settings = App.readWizard(App.wizardStepCount - 1);
+    const quorum = settings.quorumPercent > 0
+      ? `${settings.quorumPercent}% of ${App.quorumTypeLabels[settings.quorumType]}`
+      : "None";
+    const schedule = settings.start
+      ? `${App.formatDateTime(settings.start)} to ${App.formatDateTime(settings.end)}`
+      : "Started by hand";
+    const proposals = settings.proposals.length
+      ? settings.proposals.map((title) => App.escapeHtml(title)).join("<br>")
+      : "None yet";
+    const weight = settings.voters.reduce((sum, row) => sum + row.weight, 0);
+    const voters = settings.voters.length
+      ? `${settings.voters.length} voter${settings.voters.length !== 1 ? "s" : ""}, total weight ${weight}`
+      : "None yet";
+
+    const rows = [
+      ["Name", App.escapeHtml(settings.name)],
+      ["Quorum", quorum],
+      ["Proposals", proposals],
+      ["Voters", voters],
+      ["Voting window", schedule]
+    ];
+    if (App.factoryInstance) {
+      rows.splice(1, 0, ["Category", App.escapeHtml(settings.category || "-")]);
+    }
+    $("#wizardReview").html(rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join(""));
+    $("#deployProgress").empty();
+    $("#deployResult").hide();
+  },
+
+  handleDeployElection: async function (event) {
+    event.preventDefault();
+
+    let settings;
+    try {
+      settings = App.readWizard(App.wizardStepCount - 1);
+    } catch (error) {
+      return $("#wizardError").text(error.message).show();
+    }
+
+    const steps = [
+      ["link", "Link library addresses into the bytecode"],
+      ["deploy", "Deploy the election contract"]
+    ];
+    if (settings.voters.length) {
+      steps.push(["whitelist", "Whitelist the voters"]);
+    }
+    if (settings.start) {
+      steps.push(["schedule", "Schedule the voting window"]);
+    }
+    if (App.factoryInstance) {
+      steps.push(["list", "List the election in the registry"]);
+    }
+    steps.push(["open", "Open the new election"]);
+    $("#deployProgress").html(steps.map(([key, label]) => `<li data-task="${key}">${label}</li>`).join(""));
+    $("#wizardDeployBtn, #wizardBackBtn").prop("disabled", true);
+    $("#wizardError").hide();
+
+    let address;
+    try {
+      App.setDeployTask("link", "active");
+      const artifact = await $.getJSON("GovernanceVoting.json");
+      const bytecode = await App.linkBytecode(artifact);
+      App.setDeployTask("link", "done");
+
+      App.setDeployTask("deploy", "active", "confirm in your wallet");
+      address = await App.sendDeployment(
+        artifact.abi,
+        bytecode,
+        [settings.name, settings.proposals, settings.quorumType, settings.quorumPercent],
+        (hash) => App.setDeployTask("deploy", "active", `mining ${App.formatAddress(hash)}`)
+      );
+      App.setDeployTask("deploy", "done", address);
+      $("#deployResult").html(`New election deployed at <code>${App.escapeHtml(address)}</code>`).show();
+    } catch (error) {
+      $("#deployProgress li.active").removeClass("active").addClass("error");
+      $("#wizardError").text(App.extractError(error)).show();
+      $("#wizardDeployBtn, #wizardBackBtn").prop("disabled", false);
+      return;
+    }
+
+    // The election exists from here on, so later failures are reported without stopping
+    const election = await App.contracts.GovernanceVoting.at(address);
+    let whitelisted = true;
+    if (settings.voters.length) {
+      // One confirmation per chunk, as in the batch whitelist form
+      whitelisted = await App.runDeployTask("whitelist", async () => {
+        for (let i = 0; i < settings.voters.length; i += App.whitelistChunkSize) {
+          const chunk = settings.voters.slice(i, i + App.whitelistChunkSize);
+          await election.whitelistVoters(chunk.map((row) => row.address), chunk.map((row) => row.weight), { from: App.account });
+        }
+      });
+    }
+    if (settings.start && whitelisted) {
+      await App.runDeployTask("schedule", () => election.scheduleVoting(settings.start, settings.end, { from: App.account }));
+    } else if (settings.start) {
+      App.setDeployTask("schedule", "error", "skipped, the election has no voters yet");
+    }
+    if (App.factoryInstance) {
+      await App.runDeployTask("list", () => App.factoryInstance.registerElection(address, settings.category, { from: App.account }));
+    }
+
+    // Going back starts over with an empty form
+    App.setDeployTask("open", "done");
+    $("#newElectionForm")[0].reset();
+    $("#wizardBackBtn").prop("disabled", false);
+    return App.switchElection(address.toLowerCase());
+  },
+
+  // Resolves with whether the task went through
+  runDeployTask: async function (key, send) {
+    try {
+      App.setDeployTask(key, "active", "confirm in your wallet");
+      await send();
+      App.setDeployTask(key, "done");
+      return true;
+    } catch (error) {
+      App.setDeployTask(key, "error", App.extractError(error));
+      return false;
+    }
+  },
+
+  setDeployTask: function (key, state, detail) {
+    const item = $(`#deployProgress li[data-task="${key}"]`);
+    item.removeClass("active done error").addClass(state);
+    item.find(".deploy-detail").remove();
+    if (detail) {
+      item.append($("<small class=\"deploy-detail\">").text(` (${detail})`));
+    }
+  },
+
+  // Fills the library placeholders in the compiled bytecode with the addresses the migrations deployed
+  linkBytecode: async function (artifact) {
+    const networkId = App.networkId || App.contracts.GovernanceVoting.network_id;
+    const network = artifact.networks[networkId] || {};
+    const placeholders = (artifact.bytecode.match(/__[A-Za-z0-9]+_+/g) || [])
+      .filter((placeholder, index, all) => all.indexOf(placeholder) === index);
+
+    let bytecode = artifact.bytecode;
+    for (const placeholder of placeholders) {
+      const library = placeholder.replace(/_/g, "");
+      let address = network.links && network.links[library];
+      if (!address) {
+        const libraryArtifact = await $.getJSON(`${library}.json`);
+        address = libraryArtifact.networks[networkId] && libraryArtifact.networks[networkId].address;
+      }
+      if (!address) {
+        throw new Error(`${library} is not deployed on this network. Run 'truffle migrate' first.`);
+      }
+      bytecode = bytecode.split(placeholder).join(address.replace(/^0x/, "").toLowerCase());
+    }
+    return bytecode;
+  },
+
+  // Resolves with the new contract's address; `onHash` fires once the transaction is sent
+  sendDeployment: function (abi, bytecode, args, onHash) {
+    const params = { from: App.account, gas: App.deployGasLimit };
+    return new Promise((resolve, reject) => {
+      if (typeof App.web3.eth.Contract === "function") {
+        new App.web3.eth.Contract(abi).deploy({ data: bytecode, arguments: args }).send(params)
+          .on("transactionHash", onHash)
+          .on("error", reject)
+          .then((contract) => resolve(contract.options.address));
+        return;
+      }
+
+      // web3 0.x calls back twice: first with the transaction hash, then with the address
+      App.web3.eth.contract(abi).new(...args, Object.assign({ data: bytecode }, params), (error, contract) => {
+        if (error) {
+          reject(error);
+        } else if (contract.address) {
+          resolve(contract.address);
+        } else {
+          onHash(contract.transactionHash);
+        }
+      });
+    });
+  },
+
   // ============ STATE REFRESH ============
 
   refreshState: async function () {
@@ -140,19 +592,77 @@ App = {
       
       // Get phase
       const phaseId = (await instance.phase()).toNumber();
+      App.phaseId = phaseId;
       const phaseLabel = App.phaseLabels[phaseId] || "Unknown";
       $("#phaseLabel").text(phaseLabel).attr("data-phase", phaseId);
       
-      // Get admin
-      const admin = await instance.admin();
-      const isAdmin = App.account && admin.toLowerCase() === App.account.toLowerCase();
-      const role = isAdmin ? "Admin" : "Voter";
+      // Get ballot type
+      App.ballotType = (await instance.ballotType()).toNumber();
+      $("#ballotTypeSelect").val(App.ballotType);
+      $("#proposalSelectGroup").toggle(App.ballotType === App.ballotTypes.SINGLE);
+      $("#rankedBallotGroup").toggle(App.ballotType === App.ballotTypes.RANKED_CHOICE);
+      $("#quadraticBallotGroup").toggle(App.ballotType === App.ballotTypes.QUADRATIC);
+      $("#singleFormula").toggle(App.ballotType !== App.ballotTypes.QUADRATIC);
+      $("#quadraticFormula").toggle(App.ballotType === App.ballotTypes.QUADRATIC);
+      $("#ballotOptionGroup").toggle(App.ballotType !== App.ballotTypes.SINGLE);
+      
+      // Get the choices offered besides the proposals
+      App.rejectAllOffered = await instance.rejectAllOffered();
+      $("#rejectAllToggle").prop("checked", App.rejectAllOffered);
+      
+      // Get the electorate a quorum is measured against, declared for self-registering voters
+      const quorumPercent = (await instance.quorumPercent()).toNumber();
+      $("#electorateSize").val((await instance.electorateSize()).toString());
+      $("#electorateGroup").toggle(phaseId === 0 && quorumPercent > 0);
+      
+      // Get secret ballot settings
+      App.secretBallot = await instance.secretBallot();
+      $("#secretBallotToggle").prop("checked", App.secretBallot);
+      
+      // Get the voting schedule, if voting opens by itself
+      App.votingScheduled = await instance.votingScheduled();
+      await App.renderSchedule(instance, phaseId);
+      await App.renderExtensionAllowance(instance, phaseId);
+      
+      // Get tie-break policy and any runoff between tied proposals
+      const tieBreakPolicy = (await instance.tieBreakPolicy()).toNumber();
+      $("#tieBreakSelect").val(tieBreakPolicy);
+      $("#tieBreakSeedGroup").toggle(tieBreakPolicy === App.tieBreakPolicies.SEEDED_RANDOM);
+      App.inTieRunoff = await instance.inTieRunoff();
+      App.tiedProposals = (await instance.getTiedProposals()).map((id) => id.toNumber());
+      $("#tieRunoffNotice").toggle(App.inTieRunoff && phaseId >= 1 && phaseId <= 3);
+      
+      // Get Merkle eligibility root
+      App.eligibilityRoot = await instance.eligibilityRoot();
+      $("#eligibilityRootValue").text(App.isNonZeroHash(App.eligibilityRoot) ? App.formatAddress(App.eligibilityRoot) : "Not published");
       
-      $("#accountRole").text(role).attr("data-role", role.toLowerCase());
-      $("#adminActions").toggle(isAdmin);
+      // Work out which official duties the connected account holds
+      const duties = await App.loadDuties(instance);
+      const isAdmin = duties.admin;
+      App.councilInstance = await App.loadCouncil(instance);
+      duties.council = isAdmin && !App.councilInstance;
+      App.draftsInstance = await App.loadDrafts(instance);
+      duties.drafting = isAdmin && !App.draftsInstance;
+      App.executorInstance = await App.loadExecutor(instance);
+      duties.execution = isAdmin && !App.executorInstance && phaseId === 0;
+      // Token weights and membership gating both register voters; an election uses one of them
+      App.tokenRegistrar = await App.loadTokenRegistrar(instance);
+      App.membershipGate = await App.loadMembershipGate(instance);
+      const registration = isAdmin && !App.tokenRegistrar && !App.membershipGate && phaseId === 0;
+      duties.tokenWeights = registration;
+      duties.membership = registration;
+      if (registration) {
+        await App.prefillDeployed("#tokenAddress", "DemoVotesToken");
+        await App.prefillDeployed("#collectionAddress", "DemoMembership");
+      }
+      App.renderDuties(duties);
+      if (isAdmin) {
+        await App.renderOfficials(instance);
+      }
       const paused = await instance.paused();
       App.isPaused = paused;
-      App.updatePauseUI(paused, isAdmin);
+      App.updatePauseUI(paused, duties.pauser && !App.councilInstance);
+      await App.renderCouncil();
       
       // Show/hide based on phase
       App.updateUIForPhase(phaseId, isAdmin);
@@ -161,11 +671,12 @@ App = {
       App.updateTimer(instance, phaseId);
       
       // Render data
-      await App.renderProposals(instance, phaseId);
+      await App.renderProposals(instance, phaseId, duties);
+      await App.renderDrafts(phaseId, duties);
       await App.renderVoterStatus(instance, phaseId);
       
-      if (phaseId === 2) {
-        await App.renderResults(instance);
+      if (phaseId === 4) {
+        await App.renderResults(instance, isAdmin);
       }
       await App.refreshHistory();
       
@@ -175,323 +686,2196 @@ App = {
     }
   },
 
-  updateUIForPhase: function (phaseId, isAdmin) {
-    // Setup phase
-    if (phaseId === 0) {
-      $("#durationGroup").show();
-      $("#startVotingBtn").show();
-      $("#closeVotingBtn").hide();
-      $("#votingCard").show();
-      $("#resultsCard").hide();
-      $("#delegationCard").toggle(!isAdmin);
-    }
-    // Voting phase
-    else if (phaseId === 1) {
-      $("#durationGroup").hide();
-      $("#startVotingBtn").hide();
-      $("#closeVotingBtn").show();
-      $("#votingCard").show();
-      $("#resultsCard").hide();
-      $("#delegationCard").hide();
-      $("#timerSection").show();
+  // ============ OFFICIALS ============
+
+  // The super-admin holds every role
+  loadDuties: async function (instance) {
+    const duties = { admin: false };
+    App.roles.forEach((role) => { duties[role.duty] = false; });
+    if (!App.account) {
+      return duties;
     }
-    // Finished phase
-    else {
-      $("#durationGroup").hide();
-      $("#startVotingBtn").hide();
-      $("#closeVotingBtn").hide();
-      $("#votingCard").hide();
-      $("#resultsCard").show();
-      $("#delegationCard").hide();
-      $("#timerSection").hide();
+
+    const admin = await instance.admin();
+    duties.admin = admin.toLowerCase() === App.account.toLowerCase();
+    for (let i = 0; i < App.roles.length; i++) {
+      duties[App.roles[i].duty] = duties.admin || await instance.hasRole(App.account, i);
     }
+    return duties;
   },
 
-  updatePauseUI: function (paused, isAdmin) {
-    const statusEl = $("#systemStatus");
-    if (paused) {
-      statusEl.text("Paused by Admin").removeClass("active").addClass("paused");
+  renderDuties: function (duties) {
+    const held = App.roles.filter((role) => duties[role.duty]).map((role) => role.label);
+    if (duties.admin) {
+      $("#accountRole").text("Admin").attr("data-role", "admin");
+    } else if (held.length) {
+      $("#accountRole").text(held.join(", ")).attr("data-role", "official");
     } else {
-      statusEl.text("Operational").removeClass("paused").addClass("active");
+      $("#accountRole").text("Voter").attr("data-role", "voter");
     }
 
-    $("#pauseBanner").toggle(paused);
-    $(".pause-sensitive").prop("disabled", paused);
+    $("#adminActions").toggle(duties.admin || held.length > 0);
+    $("#adminActions [data-duty]").each(function () {
+      $(this).toggle(!!duties[$(this).data("duty")]);
+    });
 
-    if (isAdmin) {
-      $("#pauseElectionBtn").toggle(!paused);
-      $("#resumeElectionBtn").toggle(paused);
-    } else {
-      $("#pauseElectionBtn, #resumeElectionBtn").hide();
-    }
+    // Dashed separators between the sections this account can see
+    const shown = $("#adminActions .admin-section").filter(function () {
+      return $(this).css("display") !== "none";
+    });
+    shown.removeClass("separated").slice(1).addClass("separated");
   },
 
-  updateTimer: async function (instance, phaseId) {
-    if (App.timerInterval) {
-      clearInterval(App.timerInterval);
-      App.timerInterval = null;
+  renderOfficials: async function (instance) {
+    const list = $("#officialsList");
+    const officials = await instance.getOfficials();
+    const rows = [];
+    for (const official of officials) {
+      const held = [];
+      for (let i = 0; i < App.roles.length; i++) {
+        if (await instance.hasRole(official, i)) {
+          held.push(App.roles[i].label);
+        }
+      }
+      if (held.length) {
+        rows.push(`<div class="official-row"><span title="${official}">${App.formatAddress(official)}</span><span class="official-roles">${held.join(", ")}</span></div>`);
+      }
     }
+    list.html(rows.length ? rows.join("") : '<p class="form-hint">No officials yet. You hold every role.</p>');
+  },
 
-    if (phaseId !== 1) {
-      $("#timerSection").hide();
-      return;
+  handleSetRole: async function (event, granted) {
+    event.preventDefault();
+    const account = $("#roleAddress").val().trim();
+    const roleId = parseInt($("#roleSelect").val(), 10);
+
+    if (!App.isValidAddress(account)) {
+      return App.setFeedback("Enter a valid official address", true);
     }
 
     try {
-      const timeInfo = await instance.getTimeInfo();
-      // Handle both object and array style returns
-      const endTimeBN = timeInfo.endTime || timeInfo[2];
-      const endTime = endTimeBN ? endTimeBN.toNumber() : 0;
-      
-      if (endTime === 0) {
-        $("#timerSection").hide();
-        return;
-      }
+      App.setFeedback(granted ? "Granting role..." : "Revoking role...", false);
+      await App.contractInstance.setRole(roleId, account, granted, { from: App.account });
+      const label = App.roles[roleId].label;
+      App.setFeedback(granted ? `${label} role granted` : `${label} role revoked`, false);
+      $("#roleAddress").val("");
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
 
-      $("#timerSection").show();
-      
-      App.timerInterval = setInterval(() => {
-      const now = Math.floor(Date.now() / 1000);
-      const remaining = endTime - now;
+  handleTransferAdmin: async function (event) {
+    event.preventDefault();
+    const newAdmin = $("#newAdminAddress").val().trim();
 
-      if (remaining <= 0) {
-        $("#timeRemaining").text("ENDED").addClass("expired");
-        clearInterval(App.timerInterval);
-        return;
-      }
+    if (!App.isValidAddress(newAdmin)) {
+      return App.setFeedback("Enter a valid admin address", true);
+    }
+    if (!window.confirm(`Hand every admin power to ${newAdmin}? This cannot be undone from this account.`)) {
+      return;
+    }
 
-      const hours = Math.floor(remaining / 3600);
-      const mins = Math.floor((remaining % 3600) / 60);
-      const secs = remaining % 60;
-      const formatted = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-      
-      $("#timeRemaining").text(formatted).removeClass("expired");
-    }, 1000);
+    try {
+      App.setFeedback("Transferring admin...", false);
+      await App.contractInstance.transferAdmin(newAdmin, { from: App.account });
+      App.setFeedback("Admin transferred", false);
+      $("#newAdminAddress").val("");
+      App.refreshState();
     } catch (error) {
-      console.error("Timer error:", error);
-      $("#timerSection").hide();
+      App.setFeedback(App.extractError(error), true);
     }
   },
 
-  // ============ RENDER FUNCTIONS ============
-
-  renderProposals: async function (instance, phaseId) {
-    const tbody = $("#proposalsTable tbody");
-    const select = $("#proposalSelect");
-    tbody.empty();
-    select.empty();
-    select.append('<option value="">-- Choose a proposal --</option>');
-
-    const count = (await instance.proposalCount()).toNumber();
-    $("#proposalCount").text(`${count} proposal${count !== 1 ? 's' : ''}`);
+  // ============ APPROVAL COUNCIL ============
 
-    for (let i = 0; i < count; i++) {
-      const proposal = await instance.getProposal(i);
-      const title = proposal.title || proposal[0];
-      const quadVotes = proposal.quadraticVotes || proposal[2];
-      const rawVotes = proposal.rawVotes || proposal[3];
-      
-      const row = `
-        <tr>
-          <td>${i + 1}</td>
-          <td>${title}</td>
-          <td><span class="vote-count quadratic">${quadVotes.toString()}</span></td>
-          <td><span class="vote-count raw">${rawVotes.toString()}</span></td>
-        </tr>
-      `;
-      tbody.append(row);
-      select.append(`<option value="${i}">${title}</option>`);
+  loadCouncil: async function (instance) {
+    const address = await instance.council();
+    if (!address || address === "0x0000000000000000000000000000000000000000") {
+      return null;
     }
+    return App.contractAt("ElectionCouncil", address);
+  },
 
-    if (count === 0) {
-      tbody.append('<tr><td colspan="4" class="text-center">No proposals yet</td></tr>');
+  // Satellite contracts load their artifact the first time they are needed
+  contractAt: async function (name, address) {
+    if (!App.contracts[name]) {
+      const data = await $.getJSON(`${name}.json`);
+      App.contracts[name] = TruffleContract(data);
+      App.contracts[name].setProvider(App.web3Provider);
     }
+    return App.contracts[name].at(address);
   },
 
-  renderVoterStatus: async function (instance, phaseId) {
-    if (!App.account) {
-      App.setStatus("Connect wallet to continue");
+  renderCouncil: async function () {
+    const council = App.councilInstance;
+    $("#councilCard").toggle(!!council);
+    if (!council) {
       return;
     }
 
-    try {
-      const voter = await instance.getVoter(App.account);
-      const whitelisted = voter.whitelisted || voter[0];
-      const weight = (voter.weight || voter[1]).toString();
-      const voted = voter.voted || voter[2];
-      const votedProposalId = (voter.votedProposalId || voter[3]).toNumber();
-      const delegate = voter.delegate || voter[4];
-      const delegatedWeight = (voter.delegatedWeight || voter[5]).toString();
-      const totalPower = (voter.totalVotingPower || voter[6]).toString();
+    const members = await council.getMembers();
+    const threshold = (await council.threshold()).toNumber();
+    const account = (App.account || "").toLowerCase();
+    const isMember = members.some((member) => member.toLowerCase() === account);
 
-      // Update voter stats
-      $("#voterWeight").text(weight);
-      $("#delegatedWeight").text(delegatedWeight);
-      $("#totalPower").text(totalPower);
-      
-      // Calculate and show quadratic power
-      const quadPower = App.calculateQuadratic(parseInt(totalPower));
-      $("#quadraticPower").text(quadPower);
+    $("#councilSummary").text(`${threshold} of ${members.length} members must approve closing, pausing or resuming, within a day of the proposal.`);
+    $("#councilMembers").html(members.map((member) => `<span class="council-member" title="${member}">${App.formatAddress(member)}</span>`).join(""));
+    $("#councilProposeGroup").toggle(isMember);
 
-      // Delegation status
-      if (delegate && delegate !== "0x0000000000000000000000000000000000000000") {
-        $("#delegationStatus").text("Delegated to " + App.formatAddress(delegate));
-        $("#removeDelegateBtn").show();
-        $("#delegateForm").hide();
-      } else {
-        $("#delegationStatus").text("None");
-        $("#removeDelegateBtn").hide();
-        $("#delegateForm").show();
-      }
+    const count = (await council.actionCount()).toNumber();
+    if (count === 0) {
+      $("#councilQueue").html('<p class="form-hint">No actions proposed yet.</p>');
+      return;
+    }
 
-      // Vote status
-      if (voted) {
+    // Newest first
+    const rows = [];
+    for (let id = count - 1; id >= 0; id--) {
+      const pending = await council.getAction(id);
+      const action = parseInt((pending.action || pending[0]).toString(), 10);
+      const proposer = pending.proposer || pending[1];
+      const approvals = parseInt((pending.approvals || pending[2]).toString(), 10);
+      const executed = pending.executed !== undefined ? pending.executed : pending[3];
+      const expired = !executed && await council.isExpired(id);
+
+      const approvers = [];
+      for (const member of members) {
+        if (await council.hasApproved(id, member)) {
+          approvers.push(member);
+        }
+      }
+      const approvedByMe = approvers.some((member) => member.toLowerCase() === account);
+
+      let status = `${approvals} of ${threshold} approvals`;
+      let buttons = "";
+      if (executed) {
+        status = "Executed";
+      } else if (expired) {
+        status = "Expired, propose it again";
+      } else if (isMember) {
+        if (!approvedByMe) {
+          buttons += `<button type="button" class="btn btn-whitelist btn-council-approve" data-id="${id}">Approve</button>`;
+        }
+        if (approvals >= threshold) {
+          buttons += `<button type="button" class="btn btn-start btn-council-execute" data-id="${id}">Execute</button>`;
+        }
+      }
+
+      rows.push(`
+        <div class="council-action${executed || expired ? " executed" : ""}">
+          <div class="council-action-head">
+            <strong>#${id} ${App.councilActionLabels[action] || "Unknown action"}</strong>
+            <span class="council-status">${status}</span>
+          </div>
+          <div class="form-hint">Proposed by ${App.formatAddress(proposer)} · Approved by ${approvers.map(App.formatAddress).join(", ")}</div>
+          ${buttons ? `<div class="council-buttons">${buttons}</div>` : ""}
+        </div>`);
+    }
+    $("#councilQueue").html(rows.join(""));
+  },
+
+  handleInstallCouncil: async function (event) {
+    event.preventDefault();
+    const members = $("#councilMembersInput").val().split(/[\s,]+/).filter((member) => member);
+    const threshold = parseInt($("#councilThreshold").val(), 10);
+
+    if (members.length === 0 || !members.every(App.isValidAddress)) {
+      return App.setFeedback("Enter one valid member address per line", true);
+    }
+    if (new Set(members.map((member) => member.toLowerCase())).size !== members.length) {
+      return App.setFeedback("Each council member can only be listed once", true);
+    }
+    if (!threshold || threshold < 1 || threshold > members.length) {
+      return App.setFeedback(`Approvals required must be between 1 and ${members.length}`, true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before installing a council.", true);
+    }
+
+    try {
+      App.setFeedback("Deploying approval council...", false);
+      const artifact = await $.getJSON("ElectionCouncil.json");
+      const address = await App.sendDeployment(
+        artifact.abi,
+        await App.linkBytecode(artifact),
+        [App.contractInstance.address, members, threshold],
+        () => App.setFeedback("Waiting for the council deployment to be mined...", false)
+      );
+      App.setFeedback("Installing council...", false);
+      await App.contractInstance.installCouncil(address, { from: App.account });
+      App.setFeedback(`Approval council installed at ${App.formatAddress(address)}`, false);
+      $("#councilForm")[0].reset();
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleCouncilPropose: async function () {
+    const action = parseInt($(this).data("action"), 10);
+    try {
+      App.setFeedback("Proposing council action...", false);
+      await App.councilInstance.propose(action, { from: App.account });
+      App.setFeedback(`${App.councilActionLabels[action]} proposed; waiting for approvals`, false);
+      App.renderCouncil();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleCouncilApprove: async function () {
+    const id = parseInt($(this).data("id"), 10);
+    try {
+      App.setFeedback("Approving council action...", false);
+      await App.councilInstance.approve(id, { from: App.account });
+      App.setFeedback(`Action #${id} approved`, false);
+      App.renderCouncil();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleCouncilExecute: async function () {
+    const id = parseInt($(this).data("id"), 10);
+    try {
+      App.setFeedback("Executing council action...", false);
+      await App.councilInstance.execute(id, { from: App.account });
+      App.setFeedback(`Action #${id} executed`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  // ============ VOTER DRAFTS ============
+
+  // The drafts board is the proposal manager that points back at this election
+  loadDrafts: async function (instance) {
+    return App.findRoleHolder(instance, "proposals", "ProposalDrafts", (drafts) => drafts.sponsorMode());
+  },
+
+  // Satellite contract holding `duty`'s role for this election; `probe` rejects other kinds of satellite
+  findRoleHolder: async function (instance, duty, name, probe) {
+    const role = App.roles.findIndex((candidate) => candidate.duty === duty);
+    const officials = await instance.getOfficials();
+    for (const official of officials) {
+      if (!(await instance.hasRole(official, role))) {
+        continue;
+      }
+      try {
+        const satellite = await App.contractAt(name, official);
+        const election = await satellite.election();
+        await probe(satellite);
+        if (election.toLowerCase() === instance.address.toLowerCase()) {
+          return satellite;
+        }
+      } catch (error) {
+        // An ordinary account or a different contract holding the role
+      }
+    }
+    return null;
+  },
+
+  showProposalTab: function (tab) {
+    App.proposalTab = tab;
+    $("#proposalTabs li").removeClass("active");
+    $(`#proposalTabs a[data-tab="${tab}"]`).parent().addClass("active");
+    $("#ballotPane").toggle(tab === "ballot");
+    $("#draftsPane").toggle(tab === "drafts");
+  },
+
+  renderDrafts: async function (phaseId, duties) {
+    const drafts = App.draftsInstance;
+    $("#proposalTabs").toggle(!!drafts);
+    if (!drafts) {
+      App.showProposalTab("ballot");
+      return;
+    }
+    App.showProposalTab(App.proposalTab);
+
+    const byWeight = (await drafts.sponsorMode()).toNumber() === 1;
+    const threshold = (await drafts.threshold()).toNumber();
+    const unit = byWeight ? "weight" : `sponsor${threshold !== 1 ? "s" : ""}`;
+    $("#draftsRule").text(phaseId === 0
+      ? `Whitelisted voters can draft proposals. A draft joins the ballot at ${threshold} ${unit}.`
+      : "Drafting closed when voting started.");
+
+    let whitelisted = false;
+    if (App.account) {
+      const voter = await App.contractInstance.getVoter(App.account);
+      whitelisted = voter.whitelisted || voter[0];
+    }
+    const canDraft = phaseId === 0 && whitelisted;
+    const canReject = phaseId === 0 && duties.proposals;
+    $("#draftForm").toggle(canDraft);
+
+    const count = (await drafts.draftCount()).toNumber();
+    let pending = 0;
+    const rows = [];
+    // Newest first
+    for (let id = count - 1; id >= 0; id--) {
+      const draft = await drafts.getDraft(id);
+      const title = draft.title || draft[0];
+      const description = draft.description || draft[1];
+      const author = draft.author || draft[2];
+      const sponsors = parseInt((draft.sponsors || draft[3]).toString(), 10);
+      const sponsorWeight = parseInt((draft.sponsorWeight || draft[4]).toString(), 10);
+      const status = parseInt((draft.status || draft[5]).toString(), 10);
+      const proposalId = parseInt((draft.proposalId || draft[6]).toString(), 10);
+      const rejectReason = draft.rejectReason || draft[7];
+
+      const support = byWeight ? sponsorWeight : sponsors;
+      const percent = Math.min(100, Math.round((support / threshold) * 100));
+      const sponsored = App.account ? await drafts.hasSponsored(id, App.account) : false;
+
+      let statusText = App.draftStatusLabels[status];
+      if (status === 0) {
+        pending++;
+      } else if (status === 1) {
+        statusText = `On ballot as #${proposalId + 1}`;
+      } else {
+        statusText = `Rejected: ${App.escapeHtml(rejectReason)}`;
+      }
+
+      let buttons = "";
+      if (status === 0 && canDraft && !sponsored) {
+        buttons += `<button type="button" class="btn btn-whitelist btn-sponsor-draft" data-id="${id}" ${App.isPaused ? "disabled" : ""}>Sponsor</button>`;
+      }
+      if (status === 0 && canReject) {
+        buttons += `<button type="button" class="btn btn-close btn-reject-draft" data-id="${id}" ${App.isPaused ? "disabled" : ""}>Reject</button>`;
+      }
+
+      rows.push(`
+        <div class="draft-item" data-status="${status}">
+          <div class="draft-head">
+            <strong>${App.escapeHtml(title)}</strong>
+            <span class="draft-status">${statusText}</span>
+          </div>
+          ${description ? `<p class="draft-description">${App.escapeHtml(description)}</p>` : ""}
+          <div class="turnout-bar"><div class="turnout-fill${status === 1 ? "" : " short"}" style="width: ${percent}%;"></div></div>
+          <small class="form-hint">${support} of ${threshold} ${unit} · drafted by ${App.formatAddress(author)}${sponsored ? " · you sponsor this" : ""}</small>
+          ${buttons ? `<div class="draft-buttons">${buttons}</div>` : ""}
+        </div>`);
+    }
+
+    $("#draftCount").text(pending);
+    $("#draftsList").html(rows.length ? rows.join("") : '<p class="form-hint">No drafts yet.</p>');
+  },
+
+  handleDeployDrafts: async function (event) {
+    event.preventDefault();
+    const mode = parseInt($("#sponsorModeSelect").val(), 10);
+    const threshold = parseInt($("#sponsorThreshold").val(), 10);
+
+    if (!threshold || threshold < 1) {
+      return App.setFeedback("Sponsorship needed must be at least 1", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before opening drafts.", true);
+    }
+
+    try {
+      App.setFeedback("Deploying drafts board...", false);
+      const artifact = await $.getJSON("ProposalDrafts.json");
+      const address = await App.sendDeployment(
+        artifact.abi,
+        await App.linkBytecode(artifact),
+        [App.contractInstance.address, mode, threshold],
+        () => App.setFeedback("Waiting for the drafts board deployment to be mined...", false)
+      );
+      App.setFeedback("Granting the drafts board the proposal manager role...", false);
+      const managerRole = App.roles.findIndex((role) => role.duty === "proposals");
+      await App.contractInstance.setRole(managerRole, address, true, { from: App.account });
+      App.setFeedback("Voter drafts are open", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleSubmitDraft: async function (event) {
+    event.preventDefault();
+    const title = $("#draftTitle").val().trim();
+    const description = $("#draftDescription").val().trim();
+
+    if (!title) {
+      return App.setFeedback("Enter a proposal title", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before drafting proposals.", true);
+    }
+
+    try {
+      App.setFeedback("Submitting draft...", false);
+      await App.draftsInstance.submitDraft(title, description, { from: App.account });
+      $("#draftForm")[0].reset();
+      App.setFeedback("Draft submitted. Share it with other voters to gather sponsors.", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleSponsorDraft: async function () {
+    const id = parseInt($(this).data("id"), 10);
+    try {
+      App.setFeedback("Sponsoring draft...", false);
+      await App.draftsInstance.sponsor(id, { from: App.account });
+      App.setFeedback("Draft sponsored", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleRejectDraft: async function () {
+    const id = parseInt($(this).data("id"), 10);
+    const reason = (window.prompt("Why is this draft rejected? The reason is stored on-chain.") || "").trim();
+    if (!reason) {
+      return App.setFeedback("Enter a reason to reject the draft", true);
+    }
+
+    try {
+      App.setFeedback("Rejecting draft...", false);
+      await App.draftsInstance.reject(id, reason, { from: App.account });
+      App.setFeedback("Draft rejected", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  // ============ PROPOSAL ACTIONS ============
+
+  loadExecutor: async function (instance) {
+    const address = await instance.executor();
+    if (!address || address === "0x0000000000000000000000000000000000000000") {
+      return null;
+    }
+    return App.contractAt("ProposalExecutor", address);
+  },
+
+  loadProposalActions: async function (proposalId) {
+    const count = (await App.executorInstance.actionCount(proposalId)).toNumber();
+    const calls = [];
+    for (let index = 0; index < count; index++) {
+      const action = await App.executorInstance.getAction(proposalId, index);
+      calls.push({
+        target: action.target || action[0],
+        value: (action.value || action[1]).toString(),
+        data: action.data || action[2] || "0x"
+      });
+    }
+    return calls;
+  },
+
+  // Calldata is shown by its selector; the full bytes are in the title
+  describeAction: function (call) {
+    const value = call.value !== "0" ? `${App.fromWei(call.value)} ETH` : "";
+    if (!call.data || call.data === "0x") {
+      return `Send ${value || "0 ETH"} to ${App.formatAddress(call.target)}`;
+    }
+    return `Call <code title="${call.data}">${call.data.substring(0, 10)}</code> on ${App.formatAddress(call.target)}${value ? ` with ${value}` : ""}`;
+  },
+
+  renderProposalCalls: function (calls) {
+    if (!calls.length) {
+      return "";
+    }
+    return `<ol class="proposal-calls">${calls.map((call) => `<li>${App.describeAction(call)}</li>`).join("")}</ol>`;
+  },
+
+  renderExecution: async function (winnerId, isAdmin) {
+    const executor = App.executorInstance;
+    $("#executionPanel").toggle(!!executor);
+    if (!executor) {
+      return;
+    }
+
+    const queued = await executor.queued();
+    const proposalId = queued ? (await executor.queuedProposalId()).toNumber() : winnerId;
+    const calls = proposalId >= 0 ? await App.loadProposalActions(proposalId) : [];
+    const delayMinutes = Math.ceil((await executor.delay()).toNumber() / 60);
+    let status;
+    let buttons = "";
+
+    if (await executor.executed()) {
+      status = "The winning proposal's actions have been executed.";
+    } else if (await executor.canceled()) {
+      status = "The admin canceled execution during the timelock.";
+    } else if (queued) {
+      const eta = (await executor.eta()).toNumber();
+      if (Date.now() / 1000 >= eta) {
+        status = "The timelock has expired. Anyone can execute the actions.";
+        buttons += '<button type="button" class="btn btn-start btn-execute-actions">Execute</button>';
+      } else {
+        status = `Queued. The actions can run from ${App.formatDateTime(eta)}.`;
+      }
+      if (isAdmin) {
+        buttons += '<button type="button" class="btn btn-close btn-cancel-execution">Cancel Execution</button>';
+      }
+    } else if (winnerId < 0) {
+      status = "No proposal won, so no actions will run.";
+    } else if (!calls.length) {
+      status = "The winning proposal has no on-chain actions.";
+    } else {
+      status = `Queue the winning proposal's actions to start the ${delayMinutes} min timelock.`;
+      buttons += '<button type="button" class="btn btn-start btn-queue-actions">Queue Actions</button>';
+    }
+
+    $("#executionStatus").text(status);
+    $("#executionCalls").html(App.renderProposalCalls(calls));
+    $("#executionButtons").html(buttons);
+  },
+
+  fromWei: function (wei) {
+    return App.web3.utils ? App.web3.utils.fromWei(wei, "ether") : App.web3.fromWei(wei, "ether").toString(10);
+  },
+
+  toWei: function (ether) {
+    return App.web3.utils ? App.web3.utils.toWei(ether, "ether") : App.web3.toWei(ether, "ether").toString(10);
+  },
+
+  // Encodes a call like `transfer(address,uint256)` with comma-separated arguments; no signature means a plain transfer
+  encodeCall: function (target, signature, argsText) {
+    if (!signature) {
+      return "0x";
+    }
+    const match = signature.replace(/\s+/g, "").match(/^([A-Za-z_$][\w$]*)\(([^()]*)\)$/);
+    if (!match) {
+      throw new Error("Enter the function signature as name(type,type), e.g. transfer(address,uint256)");
+    }
+    const types = match[2] ? match[2].split(",") : [];
+    const args = argsText ? argsText.split(",").map((arg) => arg.trim()) : [];
+    if (args.length !== types.length) {
+      throw new Error(`${match[1]} takes ${types.length} argument${types.length !== 1 ? "s" : ""}, got ${args.length}`);
+    }
+    const values = args.map((arg, i) => (types[i] === "bool" ? arg === "true" : arg));
+    const fragment = {
+      name: match[1],
+      type: "function",
+      inputs: types.map((type, i) => ({ name: `arg${i}`, type }))
+    };
+
+    if (App.web3.eth.abi && App.web3.eth.abi.encodeFunctionCall) {
+      return App.web3.eth.abi.encodeFunctionCall(fragment, values);
+    }
+    return App.web3.eth.contract([fragment]).at(target)[fragment.name].getData(...values);
+  },
+
+  handleDeployExecutor: async function (event) {
+    event.preventDefault();
+    const delayMinutes = parseInt($("#executorDelay").val(), 10);
+
+    if (!delayMinutes || delayMinutes < 1) {
+      return App.setFeedback("The timelock must be at least 1 minute", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before installing an executor.", true);
+    }
+
+    try {
+      App.setFeedback("Deploying proposal executor...", false);
+      const artifact = await $.getJSON("ProposalExecutor.json");
+      const address = await App.sendDeployment(
+        artifact.abi,
+        await App.linkBytecode(artifact),
+        [App.contractInstance.address, delayMinutes * 60],
+        () => App.setFeedback("Waiting for the executor deployment to be mined...", false)
+      );
+      App.setFeedback("Installing executor...", false);
+      await App.contractInstance.installExecutor(address, { from: App.account });
+      App.setFeedback(`Proposal executor installed at ${App.formatAddress(address)}. Send it any ETH the actions pay out.`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleAddAction: async function (event) {
+    event.preventDefault();
+    const proposalId = parseInt($("#actionProposalSelect").val(), 10);
+    const target = $("#actionTarget").val().trim();
+    const value = $("#actionValue").val().trim() || "0";
+    const signature = $("#actionSignature").val().trim();
+
+    if (isNaN(proposalId)) {
+      return App.setFeedback("Choose the proposal the action belongs to", true);
+    }
+    if (!App.isValidAddress(target)) {
+      return App.setFeedback("Enter a valid target address", true);
+    }
+    if (!/^\d*\.?\d+$/.test(value)) {
+      return App.setFeedback("Enter the ETH value as a number", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before attaching actions.", true);
+    }
+
+    try {
+      const data = App.encodeCall(target, signature, $("#actionArgs").val().trim());
+      App.setFeedback("Attaching action...", false);
+      const draftId = App.proposalDetails[proposalId].draftId;
+      if (draftId !== null) {
+        await App.draftsInstance.addProposalAction(draftId, target, App.toWei(value), data, { from: App.account });
+      } else {
+        await App.executorInstance.addAction(proposalId, target, App.toWei(value), data, { from: App.account });
+      }
+      $("#actionForm")[0].reset();
+      App.setFeedback(`Action attached to proposal #${proposalId + 1}`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleClearActions: async function () {
+    const proposalId = parseInt($(this).data("proposal-id"), 10);
+    if (!window.confirm(`Remove every action from proposal #${proposalId + 1}?`)) {
+      return;
+    }
+
+    try {
+      App.setFeedback("Clearing actions...", false);
+      const draftId = App.proposalDetails[proposalId].draftId;
+      if (draftId !== null) {
+        await App.draftsInstance.clearProposalActions(draftId, { from: App.account });
+      } else {
+        await App.executorInstance.clearActions(proposalId, { from: App.account });
+      }
+      App.setFeedback(`Actions cleared from proposal #${proposalId + 1}`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleQueueActions: async function () {
+    try {
+      App.setFeedback("Queueing actions...", false);
+      await App.executorInstance.queue({ from: App.account });
+      App.setFeedback("Actions queued; they can run once the timelock expires", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleExecuteActions: async function () {
+    try {
+      App.setFeedback("Executing actions...", false);
+      await App.executorInstance.execute({ from: App.account });
+      App.setFeedback("The winning proposal's actions were executed", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleCancelExecution: async function () {
+    try {
+      App.setFeedback("Canceling execution...", false);
+      await App.executorInstance.cancel({ from: App.account });
+      App.setFeedback("Execution canceled", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  // ============ TOKEN WEIGHTS ============
+
+  loadTokenRegistrar: async function (instance) {
+    return App.findRoleHolder(instance, "registrar", "TokenWeightRegistrar", (registrar) => registrar.token());
+  },
+
+  // Suggests a migrated demo contract, if this network has one
+  prefillDeployed: async function (input, name) {
+    if ($(input).val()) {
+      return;
+    }
+    try {
+      const artifact = await $.getJSON(`${name}.json`);
+      const network = artifact.networks[App.networkId];
+      if (network) {
+        $(input).val(network.address);
+      }
+    } catch (error) {
+      // No demo artifact; the admin enters an address
+    }
+  },
+
+  handleDeployTokenRegistrar: async function (event) {
+    event.preventDefault();
+    const token = $("#tokenAddress").val().trim();
+
+    if (!App.isValidAddress(token)) {
+      return App.setFeedback("Enter the ERC20Votes token address", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before switching to token weights.", true);
+    }
+
+    try {
+      App.setFeedback("Deploying token registrar...", false);
+      const artifact = await $.getJSON("TokenWeightRegistrar.json");
+      const address = await App.sendDeployment(
+        artifact.abi,
+        await App.linkBytecode(artifact),
+        [App.contractInstance.address, token],
+        () => App.setFeedback("Waiting for the registrar deployment to be mined...", false)
+      );
+      App.setFeedback("Granting the registrar the voter registrar role...", false);
+      const registrarRole = App.roles.findIndex((role) => role.duty === "registrar");
+      await App.contractInstance.setRole(registrarRole, address, true, { from: App.account });
+      App.setFeedback("Token holders can register once voting starts", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleTokenRegister: async function () {
+    try {
+      App.setFeedback("Registering with your token balance...", false);
+      await App.tokenRegistrar.register(App.account, { from: App.account });
+      App.setFeedback("Registered. You can now vote.", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  // ============ MEMBERSHIP GATING ============
+
+  loadMembershipGate: async function (instance) {
+    return App.findRoleHolder(instance, "registrar", "MembershipGate", (gate) => gate.collection());
+  },
+
+  // Membership tokens the connected wallet holds, split by whether this election has used them
+  loadMembershipTokens: async function () {
+    const gate = App.membershipGate;
+    const collection = await App.contractAt("DemoMembership", await gate.collection());
+    const membership = { perToken: (await gate.weightMode()).toNumber() === 1, enumerable: false, unused: [], used: [] };
+    try {
+      // ERC721Enumerable interface ID
+      membership.enumerable = await collection.supportsInterface("0x780e9d63");
+    } catch (error) {
+      // Not ERC-165; the voter enters token IDs
+    }
+    if (!membership.enumerable) {
+      return membership;
+    }
+
+    const count = (await collection.balanceOf(App.account)).toNumber();
+    for (let index = 0; index < count; index++) {
+      const tokenId = (await collection.tokenOfOwnerByIndex(App.account, index)).toString();
+      (await gate.used(tokenId) ? membership.used : membership.unused).push(tokenId);
+    }
+    return membership;
+  },
+
+  renderMembership: function (membership) {
+    App.membershipTokens = membership && membership.enumerable ? membership.unused : null;
+    $("#membershipGroup").toggle(!!membership && (!membership.enumerable || membership.unused.length > 0));
+    if (!membership) {
+      return;
+    }
+    $("#membershipTokens").text(membership.enumerable ? membership.unused.map((tokenId) => `#${tokenId}`).join(", ") : "");
+    $("#membershipTokenIds").toggle(!membership.enumerable);
+  },
+
+  handleDeployMembershipGate: async function (event) {
+    event.preventDefault();
+    const collection = $("#collectionAddress").val().trim();
+    const mode = parseInt($("#membershipModeSelect").val(), 10);
+
+    if (!App.isValidAddress(collection)) {
+      return App.setFeedback("Enter the membership collection address", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before gating the election.", true);
+    }
+
+    try {
+      App.setFeedback("Deploying membership gate...", false);
+      const artifact = await $.getJSON("MembershipGate.json");
+      const address = await App.sendDeployment(
+        artifact.abi,
+        await App.linkBytecode(artifact),
+        [App.contractInstance.address, collection, mode],
+        () => App.setFeedback("Waiting for the gate deployment to be mined...", false)
+      );
+      App.setFeedback("Granting the gate the voter registrar role...", false);
+      const registrarRole = App.roles.findIndex((role) => role.duty === "registrar");
+      await App.contractInstance.setRole(registrarRole, address, true, { from: App.account });
+      App.setFeedback("Members can now register with their tokens", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleMembershipRegister: async function () {
+    const tokenIds = App.membershipTokens || $("#membershipTokenIds").val().split(/[\s,#]+/).filter((tokenId) => tokenId);
+    if (tokenIds.length === 0 || !tokenIds.every((tokenId) => /^\d+$/.test(tokenId))) {
+      return App.setFeedback("Enter the IDs of the membership tokens you hold", true);
+    }
+
+    try {
+      App.setFeedback("Registering with your membership...", false);
+      await App.membershipGate.register(tokenIds, { from: App.account });
+      App.setFeedback("Registered. You can now vote.", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  updateUIForPhase: function (phaseId, isAdmin) {
+    // Setup phase
+    if (phaseId === 0) {
+      $("#durationGroup").show();
+      $("#scheduleGroup").show();
+      $("#ballotTypeGroup").show();
+      $("#secretBallotGroup").show();
+      $("#tieBreakGroup").show();
+      $("#startVotingBtn").show();
+      $("#closeVotingBtn").hide();
+      $("#votingCard").show();
+      $("#resultsCard").hide();
+      $("#delegationCard").toggle(!isAdmin);
+    }
+    // Voting, Commit and Reveal phases
+    else if (phaseId >= 1 && phaseId <= 3) {
+      $("#durationGroup").hide();
+      $("#scheduleGroup").hide();
+      $("#ballotTypeGroup").hide();
+      $("#secretBallotGroup").hide();
+      $("#tieBreakGroup").hide();
+      $("#startVotingBtn").hide();
+      $("#closeVotingBtn").show().text(phaseId === 2 ? "Close Commits & Start Reveal" : "Close Voting");
+      $("#votingCard").show();
+      $("#resultsCard").hide();
+      // Open ballots keep delegation available until the window closes
+      $("#delegationCard").toggle(phaseId === 1 && !isAdmin);
+      $("#timerSection").show();
+    }
+    // Finished phase
+    else {
+      $("#durationGroup").hide();
+      $("#scheduleGroup").hide();
+      $("#ballotTypeGroup").hide();
+      $("#secretBallotGroup").hide();
+      $("#tieBreakGroup").hide();
+      $("#startVotingBtn").hide();
+      $("#closeVotingBtn").hide();
+      $("#votingCard").hide();
+      $("#resultsCard").show();
+      $("#delegationCard").hide();
+      $("#timerSection").hide();
+    }
+
+    // An installed council closes voting instead of the admin
+    if (App.councilInstance) {
+      $("#closeVotingBtn").hide();
+    }
+    $(".council-notice").toggle(!!App.councilInstance);
+
+    // Secret ballots vote in two steps
+    const voteLabels = { 2: "Commit Secret Vote", 3: "Reveal Vote" };
+    $("#voteBtn").text(voteLabels[phaseId] || "Submit Vote");
+    $("#ballotChoices").toggle(phaseId !== 3);
+    $("#delegationVotingNote").toggle(phaseId === 1);
+    $("#commitStats").toggle(App.secretBallot && phaseId !== 0);
+  },
+
+  updatePauseUI: function (paused, canPause) {
+    const statusEl = $("#systemStatus");
+    if (paused) {
+      statusEl.text("Paused by Admin").removeClass("active").addClass("paused");
+    } else {
+      statusEl.text("Operational").removeClass("paused").addClass("active");
+    }
+
+    $("#pauseBanner").toggle(paused);
+    $(".pause-sensitive").prop("disabled", paused);
+
+    if (canPause) {
+      $("#pauseElectionBtn").toggle(!paused);
+      $("#resumeElectionBtn").toggle(paused);
+    } else {
+      $("#pauseElectionBtn, #resumeElectionBtn").hide();
+    }
+  },
+
+  updateTimer: async function (instance, phaseId) {
+    if (App.timerInterval) {
+      clearInterval(App.timerInterval);
+      App.timerInterval = null;
+    }
+
+    const awaitingStart = phaseId === 0 && App.votingScheduled;
+    if ((phaseId < 1 || phaseId > 3) && !awaitingStart) {
+      $("#timerSection").hide();
+      return;
+    }
+
+    try {
+      let endTime;
+      if (awaitingStart) {
+        // Count down to the scheduled opening instead of the close
+        endTime = (await instance.votingStartTime()).toNumber();
+        $("#timerLabel").text("Voting Opens In");
+      } else if (phaseId === 3) {
+        endTime = (await instance.revealEndTime()).toNumber();
+        $("#timerLabel").text("Reveal Closes In");
+      } else {
+        endTime = await App.fetchVotingEndTime(instance);
+        $("#timerLabel").text(phaseId === 2 ? "Commits Close In" : "Time Remaining");
+      }
+      
+      if (endTime === 0) {
+        $("#timerSection").hide();
+        return;
+      }
+
+      $("#timerSection").show();
+      
+      if (App.isPaused) {
+        // The contract stops the clock while paused and adds the time back on resume
+        $("#timeRemaining").text("Paused").removeClass("expired").addClass("paused");
+        return;
+      }
+      $("#timeRemaining").removeClass("paused");
+      
+      // Re-read the deadline now and then so an extension shows up without a reload
+      const syncDeadline = phaseId === 1 || phaseId === 2;
+      let ticks = 0;
+      
+      App.timerInterval = setInterval(() => {
+      ticks++;
+      if (syncDeadline && ticks % App.timerSyncSeconds === 0) {
+        App.fetchVotingEndTime(instance)
+          .then((latest) => { endTime = latest || endTime; })
+          .catch((error) => console.error("Timer sync error:", error));
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const remaining = endTime - now;
+
+      if (remaining <= 0) {
+        if (awaitingStart) {
+          // The contract now reports the voting phase; pick it up
+          clearInterval(App.timerInterval);
+          App.refreshState();
+          return;
+        }
+        $("#timeRemaining").text("ENDED").addClass("expired");
+        if (!syncDeadline) {
+          clearInterval(App.timerInterval);
+        }
+        return;
+      }
+
+      const hours = Math.floor(remaining / 3600);
+      const mins = Math.floor((remaining % 3600) / 60);
+      const secs = remaining % 60;
+      const formatted = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+      
+      $("#timeRemaining").text(formatted).removeClass("expired");
+    }, 1000);
+    } catch (error) {
+      console.error("Timer error:", error);
+      $("#timerSection").hide();
+    }
+  },
+
+  fetchVotingEndTime: async function (instance) {
+    const timeInfo = await instance.getTimeInfo();
+    // Handle both object and array style returns
+    const endTimeBN = timeInfo.endTime || timeInfo[2];
+    return endTimeBN ? endTimeBN.toNumber() : 0;
+  },
+
+  // ============ RENDER FUNCTIONS ============
+
+  renderProposals: async function (instance, phaseId, duties) {
+    const tbody = $("#proposalsTable tbody");
+    const select = $("#proposalSelect");
+    const rankedList = $("#rankedBallot");
+    const quadraticBallot = $("#quadraticBallot");
+    tbody.empty();
+    select.empty();
+    rankedList.empty();
+    quadraticBallot.empty();
+    select.append('<option value="">-- Choose a proposal --</option>');
+
+    const count = (await instance.proposalCount()).toNumber();
+    const fromDrafts = phaseId === 0 ? await App.loadAcceptedDrafts() : {};
+    const account = (App.account || "").toLowerCase();
+    App.proposalDetails = [];
+    App.proposalActions = [];
+    const attachable = [];
+    let active = 0;
+
+    for (let i = 0; i < count; i++) {
+      const proposal = await instance.getProposal(i);
+      // Voters can draft proposals, so titles are untrusted
+      const title = App.escapeHtml(proposal.title || proposal[0]);
+      const quadVotes = proposal.quadraticVotes || proposal[2];
+      const rawVotes = proposal.rawVotes || proposal[3];
+      const author = (proposal.author || proposal[4]).toLowerCase();
+      const withdrawn = proposal.withdrawn !== undefined ? proposal.withdrawn : proposal[5];
+
+      // Authors edit directly; voters whose draft became this proposal go through the drafts board
+      const draft = fromDrafts[i];
+      const direct = !!account && (duties.proposals || author === account);
+      const viaDraft = !direct && !!draft && draft.author.toLowerCase() === account;
+      App.proposalDetails[i] = {
+        title: proposal.title || proposal[0],
+        description: proposal.description || proposal[1],
+        draftId: viaDraft ? draft.draftId : null
+      };
+      if (!withdrawn) active++;
+
+      // On-chain calls the executor runs if this proposal wins; editors attach them like they edit
+      const calls = App.executorInstance ? await App.loadProposalActions(i) : [];
+      App.proposalActions[i] = calls;
+      const canAttach = phaseId === 0 && !withdrawn && (direct || viaDraft) && !!App.executorInstance;
+      if (canAttach) {
+        attachable.push(`<option value="${i}">${title}</option>`);
+      }
+
+      let actions = "";
+      if (phaseId === 0 && !withdrawn && (direct || viaDraft)) {
+        actions = `
+          <div class="proposal-actions">
+            <button type="button" class="btn-link btn-edit-proposal" data-proposal-id="${i}">Edit</button>
+            <button type="button" class="btn-link btn-withdraw-proposal" data-proposal-id="${i}">Withdraw</button>
+            ${canAttach && calls.length ? `<button type="button" class="btn-link btn-clear-actions" data-proposal-id="${i}">Clear actions</button>` : ""}
+          </div>`;
+      }
+
+      const row = `
+        <tr class="${withdrawn ? "withdrawn" : ""}">
+          <td>${i + 1}</td>
+          <td>${title}${withdrawn ? ' <span class="withdrawn-tag">Withdrawn</span>' : ""}${App.renderProposalCalls(calls)}${actions}</td>
+          <td><span class="vote-count quadratic">${quadVotes.toString()}</span></td>
+          <td><span class="vote-count raw">${rawVotes.toString()}</span></td>
+        </tr>
+      `;
+      tbody.append(row);
+
+      // Withdrawn proposals keep their ID but take no votes; a tie runoff only accepts the tied proposals
+      const onBallot = !withdrawn && (!App.inTieRunoff || App.tiedProposals.includes(i));
+      quadraticBallot.append(`
+        <div class="quadratic-row ${onBallot ? "" : "off-ballot"}">
+          <span class="quadratic-title">${title}</span>
+          <input type="range" class="quadratic-slider" data-proposal-id="${i}" min="0" max="0" step="1" value="0" ${onBallot ? "" : "disabled"} />
+          <span class="quadratic-cost">0 votes · 0 credits</span>
+        </div>
+      `);
+      if (!onBallot) continue;
+
+      select.append(`<option value="${i}">${title}</option>`);
+      rankedList.append(`
+        <li class="ranked-item" draggable="true" data-proposal-id="${i}">
+          <span class="rank-position"></span>
+          <span class="rank-title">${title}</span>
+          <label class="rank-include"><input type="checkbox" checked /> Rank</label>
+        </li>
+      `);
+    }
+    App.renumberRanking();
+
+    // Abstaining and rejecting all are open on every ballot type; ranked and quadratic voters pick them separately
+    const options = App.offeredBallotOptions()
+      .map((option) => `<option value="${option.id}">${option.label}</option>`)
+      .join("");
+    select.append(`<optgroup label="Other choices">${options}</optgroup>`);
+    $("#ballotOptionSelect").html(`<option value="">No, cast the ballot above</option>${options}`);
+    $("#actionProposalSelect").html(attachable.join(""));
+    $("#actionForm").toggle(attachable.length > 0);
+    $("#proposalCount").text(`${active} proposal${active !== 1 ? 's' : ''}`);
+    if (phaseId !== 0) {
+      App.closeProposalEditor();
+    }
+
+    if (count === 0) {
+      tbody.append('<tr><td colspan="4" class="text-center">No proposals yet</td></tr>');
+    }
+  },
+
+  // Drafts that reached the ballot, keyed by proposal ID
+  loadAcceptedDrafts: async function () {
+    const accepted = {};
+    if (!App.draftsInstance) {
+      return accepted;
+    }
+    const count = (await App.draftsInstance.draftCount()).toNumber();
+    for (let id = 0; id < count; id++) {
+      const draft = await App.draftsInstance.getDraft(id);
+      if (parseInt((draft.status || draft[5]).toString(), 10) === 1) {
+        accepted[parseInt((draft.proposalId || draft[6]).toString(), 10)] = { draftId: id, author: draft.author || draft[2] };
+      }
+    }
+    return accepted;
+  },
+
+  handleEditProposalClick: function () {
+    const id = parseInt($(this).data("proposal-id"), 10);
+    const details = App.proposalDetails[id];
+    App.editingProposalId = id;
+    $("#editProposalHeading").text(`Edit Proposal #${id + 1}`);
+    $("#editProposalTitle").val(details.title);
+    $("#editProposalDescription").val(details.description);
+    $("#editProposalForm").show();
+  },
+
+  closeProposalEditor: function () {
+    App.editingProposalId = null;
+    $("#editProposalForm").hide();
+  },
+
+  handleSaveProposal: async function (event) {
+    event.preventDefault();
+    const id = App.editingProposalId;
+    const title = $("#editProposalTitle").val().trim();
+    const description = $("#editProposalDescription").val().trim();
+
+    if (id === null) {
+      return;
+    }
+    if (!title) {
+      return App.setFeedback("Enter a proposal title", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before modifying proposals.", true);
+    }
+
+    try {
+      App.setFeedback("Saving proposal...", false);
+      const draftId = App.proposalDetails[id].draftId;
+      if (draftId !== null) {
+        await App.draftsInstance.editProposal(draftId, title, description, { from: App.account });
+      } else {
+        await App.contractInstance.editProposal(id, title, description, { from: App.account });
+      }
+      App.closeProposalEditor();
+      App.setFeedback(`Proposal #${id + 1} updated`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleWithdrawProposal: async function () {
+    const id = parseInt($(this).data("proposal-id"), 10);
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before modifying proposals.", true);
+    }
+    if (!window.confirm(`Withdraw proposal #${id + 1}? It stays listed but can no longer receive votes.`)) {
+      return;
+    }
+
+    try {
+      App.setFeedback("Withdrawing proposal...", false);
+      const draftId = App.proposalDetails[id].draftId;
+      if (draftId !== null) {
+        await App.draftsInstance.withdrawProposal(draftId, { from: App.account });
+      } else {
+        await App.contractInstance.withdrawProposal(id, { from: App.account });
+      }
+      if (App.editingProposalId === id) {
+        App.closeProposalEditor();
+      }
+      App.setFeedback(`Proposal #${id + 1} withdrawn`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  renderVoterStatus: async function (instance, phaseId) {
+    if (!App.account) {
+      App.setStatus("Connect wallet to continue");
+      return;
+    }
+
+    try {
+      const voter = await instance.getVoter(App.account);
+      const whitelisted = voter.whitelisted || voter[0];
+      const weight = (voter.weight || voter[1]).toString();
+      const voted = voter.voted || voter[2];
+      const votedProposalId = voter.votedProposalId || voter[3];
+      const votedOption = voted ? App.ballotOptionLabel(votedProposalId) : null;
+      const delegate = voter.delegate || voter[4];
+      const delegatedWeight = (voter.delegatedWeight || voter[5]).toString();
+      let totalPower = (voter.totalVotingPower || voter[6]).toString();
+
+      // Unregistered voters may hold a Merkle proof that registers them on first use
+      App.voterWhitelisted = whitelisted;
+      const proof = whitelisted ? null : await App.loadEligibilityProof();
+      App.renderEligibilityProof(whitelisted, phaseId);
+      if (proof) {
+        totalPower = proof.weight.toString();
+      }
+
+      // Token holders register with their balance from the moment voting opened
+      $("#voterWeightLabel").text(App.tokenRegistrar ? "Token balance at snapshot" : "Your Weight");
+      const tokenWeight = App.tokenRegistrar && !whitelisted && (phaseId === 1 || phaseId === 2)
+        ? (await App.tokenRegistrar.weightOf(App.account)).toNumber()
+        : 0;
+      $("#tokenRegisterGroup").toggle(tokenWeight > 0);
+
+      // Members of a gated election register with the tokens they present
+      const membership = App.membershipGate && !whitelisted && phaseId <= 2 ? await App.loadMembershipTokens() : null;
+      App.renderMembership(membership);
+      const memberWeight = membership && membership.unused.length
+        ? (membership.perToken ? membership.unused.length : 1)
+        : 0;
+
+      // Update voter stats
+      $("#voterWeight").text(proof ? proof.weight.toString() : (tokenWeight || memberWeight || weight).toString());
+      $("#delegatedWeight").text(delegatedWeight);
+      $("#totalPower").text(totalPower);
+      
+      // Calculate and show quadratic power
+      const quadPower = App.calculateQuadratic(parseInt(totalPower));
+      $("#quadraticPower").text(quadPower);
+
+      // Quadratic ballots spend total power as voice credits
+      App.creditBudget = parseInt(totalPower, 10);
+      $("#creditBudget").text(App.creditBudget);
+      $("#quadraticBallot .quadratic-slider").attr("max", quadPower);
+      App.updateQuadraticBallot();
+
+      // Delegation status
+      if (delegate && delegate !== "0x0000000000000000000000000000000000000000") {
+        const chain = await instance.getDelegationChain(App.account);
+        const finalDelegate = chain[chain.length - 1];
+        const status = chain.length > 1
+          ? `Delegated to ${App.formatAddress(delegate)} (votes via ${App.formatAddress(finalDelegate)})`
+          : "Delegated to " + App.formatAddress(delegate);
+        $("#delegationStatus").text(status);
+        App.renderDelegationChain(chain);
+        $("#removeDelegateBtn").show();
+        $("#delegateForm").hide();
+      } else {
+        $("#delegationStatus").text("None");
+        $("#delegationChain").hide();
+        $("#removeDelegateBtn").hide();
+        $("#delegateForm").show();
+      }
+
+      const committed = App.secretBallot && !voted && App.isNonZeroHash(await instance.getCommitment(App.account));
+      if (App.secretBallot && phaseId !== 0) {
+        await App.renderCommitStats(instance, phaseId, committed);
+      }
+
+      // Vote status; open ballots can be cast again until the window closes
+      const changeNote = phaseId === 1 && voted ? ". You can change your vote until voting closes." : "";
+      if (committed) {
+        $("#voteStatus").text(phaseId === 3 ? "Committed - reveal pending" : "Secret vote committed").addClass("voted");
+        App.setStatus(phaseId === 3
+          ? "Reveal your vote now. Unrevealed commitments are not counted."
+          : "Your vote is sealed. You can re-commit until the commit phase closes.");
+      } else if (votedOption) {
+        $("#voteStatus").text(votedOption === "Abstain" ? "Abstained" : "Rejected all proposals").addClass("voted");
+        App.setStatus((votedOption === "Abstain"
+          ? "You abstained: your vote counts towards turnout but supports no proposal"
+          : `You voted to reject every proposal with ${quadPower} quadratic votes`) + changeNote);
+      } else if (voted && App.ballotType === App.ballotTypes.QUADRATIC) {
+        const allocation = await instance.getQuadraticAllocation(App.account);
+        const backed = allocation.filter((votes) => votes.toString() !== "0").length;
+        const spent = App.quadraticCost(allocation.map((votes) => parseInt(votes.toString(), 10)));
+        $("#voteStatus").text(`Votes spread across ${backed} proposal${backed !== 1 ? 's' : ''}`).addClass("voted");
+        App.setStatus(`You spent ${spent} of ${totalPower} voice credits${changeNote}`);
+      } else if (voted && App.ballotType === App.ballotTypes.RANKED_CHOICE) {
+        const proposal = await instance.getProposal(votedProposalId);
+        $("#voteStatus").text(`Ranked ballot cast (1st: ${proposal.title || proposal[0]})`).addClass("voted");
+        App.setStatus(`Your ranked ballot carries ${quadPower} quadratic votes through every runoff round${changeNote}`);
+      } else if (voted) {
         const proposal = await instance.getProposal(votedProposalId);
         $("#voteStatus").text(`Voted for: ${proposal.title || proposal[0]}`).addClass("voted");
-        App.setStatus(`You voted for "${proposal.title || proposal[0]}" with ${quadPower} quadratic votes`);
+        App.setStatus(`You voted for "${proposal.title || proposal[0]}" with ${quadPower} quadratic votes${changeNote}`);
+      } else if (!whitelisted && proof) {
+        $("#voteStatus").text("Eligible via Merkle proof");
+        App.setStatus(`Your proof grants ${proof.weight} credits. It is registered with your first vote or delegation.`);
+      } else if (!whitelisted && tokenWeight > 0) {
+        $("#voteStatus").text("Eligible via token balance");
+        App.setStatus(`You held ${tokenWeight} tokens when voting opened. Register to vote with them.`);
+      } else if (!whitelisted && memberWeight > 0) {
+        const count = membership.unused.length;
+        $("#voteStatus").text("Eligible via membership");
+        App.setStatus(`Register with your membership token${count !== 1 ? "s" : ""} to vote. Each token can register once in this election.`);
+      } else if (!whitelisted && membership && !membership.enumerable) {
+        $("#voteStatus").text("Not registered");
+        App.setStatus("Enter the IDs of your membership tokens to register");
+      } else if (!whitelisted && App.membershipGate) {
+        $("#voteStatus").text("Not registered");
+        if (!membership) {
+          App.setStatus("You did not register for this election");
+        } else {
+          App.setStatus(membership.used.length
+            ? "Your membership tokens have already been used in this election"
+            : "You hold no membership token for this election");
+        }
+      } else if (!whitelisted && App.tokenRegistrar) {
+        $("#voteStatus").text("Not registered");
+        App.setStatus(phaseId === 0
+          ? "Token holders register once voting opens. Delegate your tokens (to yourself if you vote) before then."
+          : "You held no delegated tokens when voting opened");
       } else if (!whitelisted) {
         $("#voteStatus").text("Not whitelisted");
         App.setStatus("You are not whitelisted for this election");
       } else {
-        $("#voteStatus").text("Ready to vote");
-        App.setStatus("You can cast your vote");
+        $("#voteStatus").text("Ready to vote");
+        App.setStatus("You can cast your vote");
+      }
+
+      // Voters who have cast a ballot can no longer hand it off
+      if (voted) {
+        $("#delegationCard").hide();
+      }
+
+      // Enable/disable vote button
+      const notDelegated = !delegate || delegate === "0x0000000000000000000000000000000000000000";
+      // On open ballots a delegator can still vote directly, taking their weight back
+      const overriding = phaseId === 1 && whitelisted && !voted && !notDelegated;
+      await App.renderOverrideNotice(overriding, totalPower);
+      const eligible = whitelisted || !!proof;
+      let canVote = eligible && !voted && (notDelegated || overriding) && !App.isPaused;
+      if (phaseId === 3) {
+        canVote = committed && !App.isPaused;
+      } else if (phaseId !== 1 && phaseId !== 2) {
+        canVote = false;
+      }
+
+      // The new ballot replaces the old one
+      const changing = !!changeNote && !App.isPaused;
+      if (changing) {
+        $("#voteBtn").text("Change Vote");
+      }
+      $("#voteBtn").prop("disabled", !(canVote || changing));
+
+    } catch (error) {
+      console.error("renderVoterStatus error:", error);
+      App.setStatus("Unable to fetch voter info");
+    }
+  },
+
+  renderResults: async function (instance, isAdmin) {
+    try {
+      await App.renderTurnout(instance);
+
+      const outcome = (await instance.outcome()).toNumber();
+      const decided = outcome === App.outcomes.DECIDED;
+      $("#winnerAnnouncement").toggleClass("failed", !decided);
+      $("#winnerAnnouncement .winner-stats").toggle(decided);
+      $("#tieNote").hide();
+      $("#tieDecision").hide().empty();
+
+      const titles = [];
+      const count = (await instance.proposalCount()).toNumber();
+      for (let i = 0; i < count; i++) {
+        const proposal = await instance.getProposal(i);
+        titles.push(proposal.title || proposal[0]);
+      }
+      const tiedTitles = App.tiedProposals.map((id) => App.escapeHtml(titles[id])).join(", ");
+
+      let winnerId = -1;
+      if (outcome === App.outcomes.FAILED_QUORUM) {
+        $("#winnerLabel").text("Outcome");
+        $("#winnerTitle").text("Failed quorum");
+      } else if (outcome === App.outcomes.NO_VOTES) {
+        $("#winnerLabel").text("Outcome");
+        $("#winnerTitle").text("No votes cast");
+      } else if (outcome === App.outcomes.REJECTED) {
+        $("#winnerLabel").text("Outcome");
+        $("#winnerTitle").text("All proposals rejected");
+      } else if (outcome === App.outcomes.TIED) {
+        $("#winnerLabel").text("Outcome");
+        $("#winnerTitle").text("Tie awaiting admin decision");
+        $("#tieNote").html(`Tied: ${tiedTitles}`).show();
+        if (isAdmin) {
+          App.tiedProposals.forEach((id) => {
+            $("#tieDecision").append(
+              `<button type="button" class="btn btn-resolve-tie pause-sensitive" data-proposal-id="${id}">Declare ${App.escapeHtml(titles[id])} the winner</button>`
+            );
+          });
+          $("#tieDecision").show();
+        }
+      } else {
+        const winner = await instance.winningProposal();
+        
+        // Handle both object and array style returns from contract
+        winnerId = (winner.proposalId || winner[0]).toNumber();
+        const title = winner.title || winner[1];
+        const quadVotes = (winner.quadraticVotes || winner[2]).toString();
+        const rawVotes = (winner.rawVotes || winner[3]).toString();
+        const tie = winner.tie !== undefined ? winner.tie : winner[4];
+
+        $("#winnerLabel").text("Winner");
+        $("#winnerTitle").text(title);
+        $("#winnerQuadratic").text(quadVotes);
+        $("#winnerRaw").text(rawVotes);
+
+        if (tie) {
+          const policy = (await instance.tieBreakPolicy()).toNumber();
+          $("#tieNote").html(`Won a tie against ${tiedTitles}, settled by ${App.tieBreakLabels[policy] || "tie-break"}`).show();
+        }
+      }
+
+      // Show all results
+      const allResults = $("#allResults");
+      allResults.empty();
+      
+      for (let i = 0; i < count; i++) {
+        const proposal = await instance.getProposal(i);
+        const pTitle = titles[i];
+        const pQuad = (proposal.quadraticVotes || proposal[2]).toString();
+        const pRaw = (proposal.rawVotes || proposal[3]).toString();
+        const isWinner = i === winnerId;
+        
+        const resultItem = `
+          <div class="result-item ${isWinner ? 'winner' : ''}">
+            <span class="result-title">${App.escapeHtml(pTitle)}</span>
+            <span class="result-votes">${pQuad} votes (${pRaw} raw)</span>
+          </div>
+        `;
+        allResults.append(resultItem);
+      }
+
+      // Abstentions and rejections are counted apart from the proposals
+      for (const option of App.offeredBallotOptions()) {
+        const counts = await instance.getProposal(option.id);
+        const rejected = outcome === App.outcomes.REJECTED && option.label === "Reject all";
+        allResults.append(`
+          <div class="result-item result-option ${rejected ? 'winner' : ''}">
+            <span class="result-title">${option.label}</span>
+            <span class="result-votes">${(counts.quadraticVotes || counts[2]).toString()} votes (${(counts.rawVotes || counts[3]).toString()} raw)</span>
+          </div>
+        `);
+      }
+
+      await App.renderExecution(winnerId, isAdmin);
+
+      if (App.ballotType === App.ballotTypes.RANKED_CHOICE && outcome !== App.outcomes.FAILED_QUORUM) {
+        const finalTallies = await App.renderRunoffRounds(instance, titles);
+        if (finalTallies && winnerId >= 0) {
+          $("#winnerQuadratic").text(finalTallies[winnerId].toString());
+        }
+      } else {
+        $("#runoffSection").hide();
+      }
+
+    } catch (error) {
+      console.error("renderResults error:", error);
+      $("#winnerTitle").text("Unable to compute results");
+    }
+  },
+
+  renderTurnout: async function (instance) {
+    const quorumPercent = (await instance.quorumPercent()).toNumber();
+    const quorumType = (await instance.quorumType()).toNumber();
+    const info = await instance.getTurnout();
+    const turnout = (info.turnout || info[0]).toNumber();
+    const eligible = (info.eligible || info[1]).toNumber();
+    const required = (info.required || info[2]).toNumber();
+    const percent = eligible > 0 ? Math.round((turnout / eligible) * 100) : 0;
+    const unit = App.quorumTypeLabels[quorumType] || "voters";
+
+    $("#turnoutText").text(`${turnout} of ${eligible} (${percent}%)`);
+    $("#turnoutFill")
+      .css("width", `${Math.min(percent, 100)}%`)
+      .toggleClass("short", turnout < required);
+    $("#quorumMarker").css("left", `${quorumPercent}%`).toggle(quorumPercent > 0);
+    $("#quorumText").text(quorumPercent > 0
+      ? `Quorum: ${quorumPercent}% of ${unit} (${required} needed)`
+      : "No quorum required");
+  },
+
+  renderSchedule: async function (instance, phaseId) {
+    if (!App.votingScheduled || phaseId !== 0) {
+      $("#scheduleStatus").hide();
+      return;
+    }
+
+    const start = (await instance.votingStartTime()).toNumber();
+    const end = (await instance.votingEndTime()).toNumber();
+    $("#scheduleStatus")
+      .text(`Voting opens ${App.formatDateTime(start)} and closes ${App.formatDateTime(end)}`)
+      .show();
+  },
+
+  renderExtensionAllowance: async function (instance, phaseId) {
+    const windowOpen = phaseId === 1 || phaseId === 2;
+    $("#extendVotingForm").toggle(windowOpen);
+    if (!windowOpen) return;
+
+    const max = (await instance.MAX_VOTING_EXTENSION()).toNumber();
+    const used = (await instance.totalExtension()).toNumber();
+    const left = Math.floor((max - used) / 60);
+    $("#extendMinutes").attr("max", left);
+    $("#extensionAllowance").text(left > 0
+      ? `Up to ${left} more minutes can be added (${Math.floor(used / 60)} used so far).`
+      : "The maximum extension has been used.");
+  },
+
+  formatDateTime: function (timestamp) {
+    return new Date(timestamp * 1000).toLocaleString();
+  },
+
+  renderEligibilityProof: function (whitelisted, phaseId) {
+    const claimable = !whitelisted && App.isNonZeroHash(App.eligibilityRoot) && phaseId <= 2;
+    $("#eligibilityProofGroup").toggle(claimable);
+    $("#eligibilityProofStatus").text(App.eligibilityProof
+      ? `Loaded (${App.eligibilityProof.weight} credits)`
+      : "Upload your proof file");
+  },
+
+  renderOverrideNotice: async function (overriding, totalPower) {
+    const notice = $("#overrideNotice");
+    if (!overriding) {
+      notice.hide();
+      return;
+    }
+
+    const finalDelegate = await App.resolveFinalDelegate(App.account);
+    const delegateVoted = await App.hasVoted(finalDelegate);
+    const consequence = delegateVoted
+      ? `${App.formatAddress(finalDelegate)} has already voted, so their vote shrinks by your ${totalPower} weight.`
+      : `${App.formatAddress(finalDelegate)} has not voted yet and will no longer carry your ${totalPower} weight.`;
+    notice.html(`<strong>Voting directly overrides your delegation.</strong> ${consequence} Your delegation is removed once the vote is confirmed.`).show();
+    $("#voteBtn").text("Override Delegation & Vote");
+  },
+
+  renderDelegationChain: function (chain) {
+    const links = chain.map((address, index) => {
+      const isFinal = index === chain.length - 1;
+      return `<span class="chain-link ${isFinal ? 'final' : ''}">${App.formatAddress(address)}${isFinal ? ' (casts the vote)' : ''}</span>`;
+    });
+    $("#delegationChain")
+      .html(['<span class="chain-link">You</span>'].concat(links).join('<span class="chain-arrow">→</span>'))
+      .show();
+  },
+
+  renderCommitStats: async function (instance, phaseId, committed) {
+    const commits = (await instance.commitCount()).toNumber();
+    const reveals = (await instance.revealCount()).toNumber();
+    $("#commitTotal").text(commits);
+    $("#revealTotal").text(reveals);
+    $("#unrevealedTotal").text(commits - reveals);
+
+    const reminder = $("#revealReminder");
+    const stored = App.loadSecretBallot();
+    if (committed && phaseId === 2) {
+      reminder.text("Your salt is saved in this browser. Come back when the reveal phase opens, or your vote will not count.").show();
+    } else if (committed && phaseId === 3) {
+      reminder.text(stored
+        ? "Reveal phase is open. Click Reveal Vote before the window closes."
+        : "No saved ballot found in this browser. Reveal from the device you committed with.").show();
+    } else {
+      reminder.hide();
+    }
+  },
+
+  // Renders each instant-runoff round and returns the deciding round's tallies
+  renderRunoffRounds: async function (instance, titles) {
+    const container = $("#runoffRounds");
+    container.empty();
+    $("#runoffSection").show();
+
+    const roundCount = (await instance.runoffRoundCount()).toNumber();
+    let tallies = null;
+
+    // Withdrawn proposals never take part, so they are left out of every round
+    const eliminated = {};
+    const proposalCount = (await instance.proposalCount()).toNumber();
+    for (let id = 0; id < proposalCount; id++) {
+      const proposal = await instance.getProposal(id);
+      if (proposal.withdrawn !== undefined ? proposal.withdrawn : proposal[5]) {
+        eliminated[id] = true;
+      }
+    }
+
+    for (let r = 0; r < roundCount; r++) {
+      const round = await instance.getRunoffRound(r);
+      tallies = round.tallies || round[0];
+      const hasElimination = round.hasElimination || round[1];
+      const eliminatedId = (round.eliminatedProposalId || round[2]).toNumber();
+
+      let rows = "";
+      tallies.forEach((tally, id) => {
+        if (eliminated[id]) return;
+        const out = hasElimination && id === eliminatedId;
+        rows += `
+          <div class="runoff-tally ${out ? 'eliminated' : ''}">
+            <span class="result-title">${App.escapeHtml(titles[id])}</span>
+            <span class="result-votes">${tally.toString()} votes${out ? ' (eliminated)' : ''}</span>
+          </div>
+        `;
+      });
+
+      // A round without an elimination either found a majority or left every finalist level
+      const standing = tallies.filter((tally, id) => !eliminated[id]).map((tally) => tally.toString());
+      const tied = standing.length > 1 && standing.every((tally) => tally === standing[0]);
+      let summary = "Majority reached";
+      if (hasElimination) {
+        summary = `Eliminated: ${App.escapeHtml(titles[eliminatedId])}`;
+      } else if (tied) {
+        summary = "Tie";
+      }
+      container.append(`
+        <div class="runoff-round">
+          <div class="runoff-round-header">
+            <span>Round ${r + 1}</span>
+            <span class="runoff-summary">${summary}</span>
+          </div>
+          ${rows}
+        </div>
+      `);
+
+      if (hasElimination) {
+        eliminated[eliminatedId] = true;
+      }
+    }
+
+    return tallies;
+  },
+
+  // ============ EVENT HANDLERS ============
+
+  handleAddProposal: async function (event) {
+    event.preventDefault();
+    const title = $("#proposalTitle").val().trim();
+    const description = $("#proposalDescription").val().trim();
+    
+    if (!title) {
+      return App.setFeedback("Enter a proposal title", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before modifying proposals.", true);
+    }
+    
+    try {
+      App.setFeedback("Adding proposal...", false);
+      await App.contractInstance.addProposal(title, description, { from: App.account });
+      $("#proposalTitle").val("");
+      $("#proposalDescription").val("");
+      App.setFeedback("Proposal added successfully!", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleWhitelist: async function (event) {
+    event.preventDefault();
+    const address = $("#whitelistAddress").val().trim();
+    const weight = parseInt($("#voterWeightInput").val(), 10);
+    
+    if (!App.isValidAddress(address)) {
+      return App.setFeedback("Enter a valid Ethereum address", true);
+    }
+    if (!weight || weight <= 0) {
+      return App.setFeedback("Weight must be greater than zero", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before whitelisting voters.", true);
+    }
+
+    try {
+      App.setFeedback("Whitelisting voter...", false);
+      await App.contractInstance.whitelistVoter(address, weight, { from: App.account });
+      $("#whitelistAddress").val("");
+      App.setFeedback(`Voter whitelisted with ${weight} credits (${App.calculateQuadratic(weight)} quadratic votes)`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  lookupManagedVoter: async function () {
+    const address = $("#manageVoterAddress").val().trim();
+    const info = $("#manageVoterInfo");
+    if (!App.isValidAddress(address)) {
+      info.text("Look up a registered voter to change their weight or remove them.");
+      return;
+    }
+
+    try {
+      const voter = await App.contractInstance.getVoter(address);
+      if (!(voter.whitelisted || voter[0])) {
+        info.text("Not a registered voter.");
+        return;
+      }
+      const weight = (voter.weight || voter[1]).toString();
+      const delegateAddress = voter.delegateAddress || voter[4];
+      const delegatedWeight = (voter.delegatedWeight || voter[5]).toString();
+      const delegation = delegateAddress && delegateAddress !== "0x0000000000000000000000000000000000000000"
+        ? `delegates to ${App.formatAddress(delegateAddress)}`
+        : "no delegation";
+      info.text(`Weight ${weight}, ${delegation}, ${delegatedWeight} delegated to them.`);
+      $("#manageVoterWeight").val(weight);
+    } catch (error) {
+      info.text(App.extractError(error));
+    }
+  },
+
+  handleUpdateVoterWeight: async function (event) {
+    event.preventDefault();
+    const address = $("#manageVoterAddress").val().trim();
+    const weight = parseInt($("#manageVoterWeight").val(), 10);
+
+    if (!App.isValidAddress(address)) {
+      return App.setFeedback("Enter a valid Ethereum address", true);
+    }
+    if (!weight || weight <= 0) {
+      return App.setFeedback("Weight must be greater than zero", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before changing voters.", true);
+    }
+
+    try {
+      App.setFeedback("Updating voter weight...", false);
+      await App.contractInstance.updateVoterWeight(address, weight, { from: App.account });
+      App.setFeedback(`Weight of ${App.formatAddress(address)} set to ${weight} credits`, false);
+      App.lookupManagedVoter();
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleRemoveVoter: async function () {
+    const address = $("#manageVoterAddress").val().trim();
+
+    if (!App.isValidAddress(address)) {
+      return App.setFeedback("Enter a valid Ethereum address", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before changing voters.", true);
+    }
+    if (!window.confirm(`Remove ${address} from the whitelist? Delegations made to them are cancelled.`)) {
+      return;
+    }
+
+    try {
+      App.setFeedback("Removing voter...", false);
+      await App.contractInstance.removeVoter(address, { from: App.account });
+      $("#manageVoterForm")[0].reset();
+      App.lookupManagedVoter();
+      App.setFeedback(`${App.formatAddress(address)} removed from the whitelist`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleSetEligibilityRoot: async function (event) {
+    event.preventDefault();
+    const root = $("#eligibilityRootInput").val().trim();
+
+    if (!/^0x[a-fA-F0-9]{64}$/.test(root)) {
+      return App.setFeedback("Enter a 32-byte Merkle root (0x followed by 64 hex characters)", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before publishing the eligibility root.", true);
+    }
+
+    try {
+      App.setFeedback("Publishing eligibility root...", false);
+      await App.contractInstance.setEligibilityRoot(root, { from: App.account });
+      $("#eligibilityRootInput").val("");
+      App.setFeedback("Eligibility root published. Voters can now register with their proofs.", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  // ============ BATCH WHITELIST ============
+
+  handleWhitelistFile: function (event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const rows = App.parseWhitelistFile(file.name, reader.result);
+        App.batchRows = App.validateWhitelistRows(rows);
+        App.setFeedback("", false);
+      } catch (error) {
+        App.batchRows = [];
+        App.setFeedback(`Unable to read ${file.name}: ${error.message}`, true);
+      }
+      App.renderBatchPreview();
+    };
+    reader.readAsText(file);
+  },
+
+  // Accepts "address,weight" CSV (header optional) or a JSON array of { address, weight }
+  parseWhitelistFile: function (name, text) {
+    if (/\.json$/i.test(name)) {
+      const data = JSON.parse(text);
+      if (!Array.isArray(data)) {
+        throw new Error("JSON must be an array of { address, weight } entries");
+      }
+      return data.map((entry) => {
+        const address = Array.isArray(entry) ? entry[0] : entry.address;
+        const weight = Array.isArray(entry) ? entry[1] : entry.weight;
+        return { address: String(address || "").trim(), weight: String(weight || "").trim() };
+      });
+    }
+
+    const rows = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0)
+      .map((line) => {
+        const cells = line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ""));
+        return { address: cells[0] || "", weight: cells[1] || "" };
+      });
+
+    // Skip a header row such as "address,weight"
+    if (rows.length > 0 && !/^0x/i.test(rows[0].address)) {
+      rows.shift();
+    }
+    return rows;
+  },
+
+  validateWhitelistRows: function (rows) {
+    const seen = {};
+    return rows.map((row, index) => {
+      const weight = /^\d+$/.test(row.weight) ? parseInt(row.weight, 10) : 0;
+      const key = row.address.toLowerCase();
+      let status = "ok";
+
+      if (!App.isValidAddress(row.address)) {
+        status = "Invalid address";
+      } else if (weight <= 0) {
+        status = "Weight must be a positive whole number";
+      } else if (seen[key] !== undefined) {
+        status = `Duplicate of row ${seen[key] + 1}`;
+      } else {
+        seen[key] = index;
       }
 
-      // Enable/disable vote button
-      const canVote = whitelisted && !voted && phaseId === 1 && 
-              (!delegate || delegate === "0x0000000000000000000000000000000000000000") &&
-              !App.isPaused;
-      $("#voteBtn").prop("disabled", !canVote);
+      return { row: index + 1, address: row.address, weight, status };
+    });
+  },
+
+  renderBatchPreview: function () {
+    const rows = App.batchRows;
+    const tbody = $("#batchPreview tbody");
+    tbody.empty();
+
+    if (rows.length === 0) {
+      $("#batchPreview").hide();
+      $("#submitBatchBtn").prop("disabled", true).text("Whitelist Batch");
+      return;
+    }
+
+    rows.forEach((row) => {
+      const ok = row.status === "ok";
+      tbody.append(`
+        <tr class="${ok ? '' : 'batch-row-error'}">
+          <td>${row.row}</td>
+          <td class="batch-address">${row.address ? App.escapeHtml(row.address) : "(empty)"}</td>
+          <td>${row.weight || "-"}</td>
+          <td>${ok ? "Ready" : row.status}</td>
+        </tr>
+      `);
+    });
+
+    const valid = rows.filter((row) => row.status === "ok").length;
+    const duplicates = rows.filter((row) => row.status.indexOf("Duplicate") === 0).length;
+    const errors = rows.length - valid - duplicates;
+    const batches = Math.ceil(valid / App.whitelistChunkSize);
+
+    $("#batchSummary").text(`${valid} ready, ${duplicates} duplicate${duplicates !== 1 ? 's' : ''}, ${errors} error${errors !== 1 ? 's' : ''}. Invalid and duplicate rows are skipped.`);
+    $("#batchPreview").show();
+    $("#submitBatchBtn")
+      .prop("disabled", valid === 0 || App.isPaused)
+      .text(valid > 0 ? `Whitelist ${valid} Voters (${batches} transaction${batches !== 1 ? 's' : ''})` : "Whitelist Batch");
+  },
+
+  handleBatchWhitelist: async function (event) {
+    event.preventDefault();
+    const valid = App.batchRows.filter((row) => row.status === "ok");
+
+    if (valid.length === 0) {
+      return App.setFeedback("Upload a file with at least one valid row", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before whitelisting voters.", true);
+    }
 
+    // One MetaMask confirmation per chunk keeps each transaction under the block gas limit
+    const chunks = [];
+    for (let i = 0; i < valid.length; i += App.whitelistChunkSize) {
+      chunks.push(valid.slice(i, i + App.whitelistChunkSize));
+    }
+
+    let completed = 0;
+    try {
+      for (const chunk of chunks) {
+        App.setFeedback(`Submitting batch ${completed + 1} of ${chunks.length} (${chunk.length} voters)...`, false);
+        await App.contractInstance.whitelistVoters(
+          chunk.map((row) => row.address),
+          chunk.map((row) => row.weight),
+          { from: App.account }
+        );
+        completed++;
+      }
+      App.setFeedback(`Whitelisted ${valid.length} voters in ${chunks.length} transaction${chunks.length !== 1 ? 's' : ''}`, false);
+      App.batchRows = [];
+      $("#whitelistFile").val("");
+      App.renderBatchPreview();
+      App.refreshState();
     } catch (error) {
-      console.error("renderVoterStatus error:", error);
-      App.setStatus("Unable to fetch voter info");
+      App.setFeedback(`${App.extractError(error)} (${completed} of ${chunks.length} batches completed)`, true);
+      App.refreshState();
+    }
+  },
+
+  // ============ MERKLE ELIGIBILITY ============
+
+  // Looks for proofs/<address>.json as written by scripts/build-merkle-tree.js
+  loadEligibilityProof: async function () {
+    const cached = App.eligibilityProof;
+    if (cached && cached.address.toLowerCase() === App.account.toLowerCase() &&
+        cached.root.toLowerCase() === App.eligibilityRoot.toLowerCase()) {
+      return cached;
+    }
+
+    App.eligibilityProof = null;
+    if (!App.isNonZeroHash(App.eligibilityRoot)) {
+      return null;
+    }
+
+    try {
+      const proof = await $.getJSON(`proofs/${App.account.toLowerCase()}.json`);
+      App.setEligibilityProof(proof);
+    } catch (error) {
+      // No published proof for this account; the voter can upload their file instead
+    }
+    return App.eligibilityProof;
+  },
+
+  handleProofFile: function (event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        App.setEligibilityProof(JSON.parse(reader.result));
+        App.setFeedback("Eligibility proof loaded", false);
+        App.refreshState();
+      } catch (error) {
+        App.setFeedback(`Unable to use ${file.name}: ${error.message}`, true);
+      }
+    };
+    reader.readAsText(file);
+  },
+
+  setEligibilityProof: function (proof) {
+    if (!proof || !Array.isArray(proof.proof) || !proof.address || !proof.root) {
+      throw new Error("Not a proof file from build-merkle-tree.js");
+    }
+    if (proof.address.toLowerCase() !== App.account.toLowerCase()) {
+      throw new Error("Proof belongs to a different account");
+    }
+    if (proof.root.toLowerCase() !== App.eligibilityRoot.toLowerCase()) {
+      throw new Error("Proof was built for a different Merkle root");
+    }
+    App.eligibilityProof = proof;
+  },
+
+  // Registers the voter from their proof before their first vote or delegation
+  ensureEligibility: async function () {
+    if (App.voterWhitelisted || !App.eligibilityProof) return;
+
+    App.setFeedback("Registering eligibility with your Merkle proof...", false);
+    await App.contractInstance.claimEligibility(
+      App.eligibilityProof.weight,
+      App.eligibilityProof.proof,
+      { from: App.account }
+    );
+    App.voterWhitelisted = true;
+  },
+
+  handleDelegate: async function (event) {
+    event.preventDefault();
+    const delegateAddress = $("#delegateAddress").val().trim();
+    
+    if (!App.isValidAddress(delegateAddress)) {
+      return App.setFeedback("Enter a valid delegate address", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Delegation is temporarily disabled.", true);
+    }
+
+    try {
+      await App.ensureEligibility();
+      const finalDelegate = await App.resolveFinalDelegate(delegateAddress);
+      const alreadyVoted = App.phaseId === 1 && (await App.hasVoted(finalDelegate));
+      App.setFeedback(alreadyVoted
+        ? `${App.formatAddress(finalDelegate)} has already voted. Delegating adds your weight to their choice...`
+        : "Delegating vote...", false);
+      await App.contractInstance.delegate(delegateAddress, { from: App.account });
+      $("#delegateAddress").val("");
+      App.setFeedback(alreadyVoted
+        ? "Vote delegated. Your weight now counts toward your delegate's cast vote."
+        : "Vote delegated successfully!", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  resolveFinalDelegate: async function (address) {
+    const chain = await App.contractInstance.getDelegationChain(address);
+    return chain.length > 0 ? chain[chain.length - 1] : address;
+  },
+
+  hasVoted: async function (address) {
+    const voter = await App.contractInstance.getVoter(address);
+    return voter.voted || voter[2];
+  },
+
+  handleRemoveDelegate: async function () {
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before changing delegation.", true);
+    }
+    try {
+      App.setFeedback("Removing delegation...", false);
+      await App.contractInstance.removeDelegate({ from: App.account });
+      App.setFeedback("Delegation removed", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleSetBallotType: async function () {
+    const ballotType = parseInt($("#ballotTypeSelect").val(), 10);
+
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before changing the ballot type.", true);
     }
-  },
 
-  renderResults: async function (instance) {
     try {
-      const winner = await instance.winningProposal();
-      
-      // Handle both object and array style returns from contract
-      const winnerId = (winner.proposalId || winner[0]).toNumber();
-      const title = winner.title || winner[1];
-      const quadVotes = (winner.quadraticVotes || winner[2]).toString();
-      const rawVotes = (winner.rawVotes || winner[3]).toString();
+      App.setFeedback("Updating ballot type...", false);
+      await App.contractInstance.setBallotType(ballotType, { from: App.account });
+      App.setFeedback("Ballot type updated", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
 
-      $("#winnerTitle").text(title);
-      $("#winnerQuadratic").text(quadVotes);
-      $("#winnerRaw").text(rawVotes);
+  handleSetSecretBallot: async function () {
+    const enabled = $("#secretBallotToggle").prop("checked");
+    const revealDuration = parseInt($("#revealDuration").val(), 10) || 0;
 
-      // Show all results
-      const allResults = $("#allResults");
-      allResults.empty();
-      
-      const count = (await instance.proposalCount()).toNumber();
-      for (let i = 0; i < count; i++) {
-        const proposal = await instance.getProposal(i);
-        const pTitle = proposal.title || proposal[0];
-        const pQuad = (proposal.quadraticVotes || proposal[2]).toString();
-        const pRaw = (proposal.rawVotes || proposal[3]).toString();
-        const isWinner = i === winnerId;
-        
-        const resultItem = `
-          <div class="result-item ${isWinner ? 'winner' : ''}">
-            <span class="result-title">${pTitle}</span>
-            <span class="result-votes">${pQuad} votes (${pRaw} raw)</span>
-          </div>
-        `;
-        allResults.append(resultItem);
-      }
+    if (enabled && revealDuration <= 0) {
+      return App.setFeedback("Enter a valid reveal duration", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before changing the ballot type.", true);
+    }
 
+    try {
+      App.setFeedback("Updating secret ballot setting...", false);
+      await App.contractInstance.setSecretBallot(enabled, revealDuration, { from: App.account });
+      App.setFeedback(enabled ? `Secret ballot enabled with a ${revealDuration} minute reveal window` : "Secret ballot disabled", false);
+      App.refreshState();
     } catch (error) {
-      console.error("renderResults error:", error);
-      $("#winnerTitle").text("Unable to compute results");
+      App.setFeedback(App.extractError(error), true);
     }
   },
 
-  // ============ EVENT HANDLERS ============
+  handleSetRejectAll: async function () {
+    const offered = $("#rejectAllToggle").prop("checked");
 
-  handleAddProposal: async function (event) {
-    event.preventDefault();
-    const title = $("#proposalTitle").val().trim();
-    const description = $("#proposalDescription").val().trim();
-    
-    if (!title) {
-      return App.setFeedback("Enter a proposal title", true);
-    }
     if (App.isPaused) {
-      return App.setFeedback("Election is paused. Resume before modifying proposals.", true);
+      return App.setFeedback("Election is paused. Resume before changing the ballot type.", true);
     }
-    
+
     try {
-      App.setFeedback("Adding proposal...", false);
-      await App.contractInstance.addProposal(title, description, { from: App.account });
-      $("#proposalTitle").val("");
-      $("#proposalDescription").val("");
-      App.setFeedback("Proposal added successfully!", false);
+      App.setFeedback("Updating ballot options...", false);
+      await App.contractInstance.setRejectAllOption(offered, { from: App.account });
+      App.setFeedback(offered ? "\"Reject all\" added to the ballot" : "\"Reject all\" removed from the ballot", false);
       App.refreshState();
     } catch (error) {
       App.setFeedback(App.extractError(error), true);
     }
   },
 
-  handleWhitelist: async function (event) {
-    event.preventDefault();
-    const address = $("#whitelistAddress").val().trim();
-    const weight = parseInt($("#voterWeightInput").val(), 10);
-    
-    if (!App.isValidAddress(address)) {
-      return App.setFeedback("Enter a valid Ethereum address", true);
-    }
-    if (!weight || weight <= 0) {
-      return App.setFeedback("Weight must be greater than zero", true);
+  handleSetTieBreakPolicy: async function () {
+    const policy = parseInt($("#tieBreakSelect").val(), 10);
+    let seed = "0x" + "0".repeat(64);
+
+    if (policy === App.tieBreakPolicies.SEEDED_RANDOM) {
+      const phrase = $("#tieBreakSeed").val().trim();
+      if (!phrase) {
+        return App.setFeedback("Enter a seed phrase for the random draw", true);
+      }
+      seed = web3.sha3(phrase);
     }
     if (App.isPaused) {
-      return App.setFeedback("Election is paused. Resume before whitelisting voters.", true);
+      return App.setFeedback("Election is paused. Resume before changing the tie-break policy.", true);
     }
 
     try {
-      App.setFeedback("Whitelisting voter...", false);
-      await App.contractInstance.whitelistVoter(address, weight, { from: App.account });
-      $("#whitelistAddress").val("");
-      App.setFeedback(`Voter whitelisted with ${weight} credits (${App.calculateQuadratic(weight)} quadratic votes)`, false);
+      App.setFeedback("Updating tie-break policy...", false);
+      await App.contractInstance.setTieBreakPolicy(policy, seed, { from: App.account });
+      App.setFeedback(`Ties will be settled by ${App.tieBreakLabels[policy]}`, false);
       App.refreshState();
     } catch (error) {
       App.setFeedback(App.extractError(error), true);
     }
   },
 
-  handleDelegate: async function (event) {
-    event.preventDefault();
-    const delegateAddress = $("#delegateAddress").val().trim();
-    
-    if (!App.isValidAddress(delegateAddress)) {
-      return App.setFeedback("Enter a valid delegate address", true);
+  handleSetElectorateSize: async function () {
+    const size = parseInt($("#electorateSize").val(), 10);
+
+    if (isNaN(size) || size < 0) {
+      return App.setFeedback("Enter a valid electorate size", true);
     }
     if (App.isPaused) {
-      return App.setFeedback("Election is paused. Delegation is temporarily disabled.", true);
+      return App.setFeedback("Election is paused. Resume before changing the electorate size.", true);
     }
 
     try {
-      App.setFeedback("Delegating vote...", false);
-      await App.contractInstance.delegate(delegateAddress, { from: App.account });
-      $("#delegateAddress").val("");
-      App.setFeedback("Vote delegated successfully!", false);
+      App.setFeedback("Updating electorate size...", false);
+      await App.contractInstance.setElectorateSize(size, { from: App.account });
+      App.setFeedback(size > 0 ? `Quorum will be measured against an electorate of ${size}` : "Quorum will be measured against registered voters", false);
       App.refreshState();
     } catch (error) {
       App.setFeedback(App.extractError(error), true);
     }
   },
 
-  handleRemoveDelegate: async function () {
+  handleResolveTie: async function () {
+    const proposalId = parseInt($(this).data("proposal-id"), 10);
+
     if (App.isPaused) {
-      return App.setFeedback("Election is paused. Resume before changing delegation.", true);
+      return App.setFeedback("Election is paused. Resume before settling the tie.", true);
     }
+
     try {
-      App.setFeedback("Removing delegation...", false);
-      await App.contractInstance.removeDelegate({ from: App.account });
-      App.setFeedback("Delegation removed", false);
+      App.setFeedback("Declaring the winner...", false);
+      await App.contractInstance.resolveTie(proposalId, { from: App.account });
+      App.setFeedback("Tie settled", false);
       App.refreshState();
     } catch (error) {
       App.setFeedback(App.extractError(error), true);
@@ -518,10 +2902,66 @@ App = {
     }
   },
 
+  handleScheduleVoting: async function () {
+    const start = Math.floor(new Date($("#scheduleStart").val()).getTime() / 1000);
+    const end = Math.floor(new Date($("#scheduleEnd").val()).getTime() / 1000);
+
+    if (!start || !end) {
+      return App.setFeedback("Pick both an opening and a closing time", true);
+    }
+    if (start <= Math.floor(Date.now() / 1000)) {
+      return App.setFeedback("The opening time must be in the future", true);
+    }
+    if (end <= start) {
+      return App.setFeedback("The closing time must be after the opening time", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before starting or modifying phases.", true);
+    }
+
+    try {
+      App.setFeedback("Scheduling voting window...", false);
+      await App.contractInstance.scheduleVoting(start, end, { from: App.account });
+      App.setFeedback(`Voting will open ${App.formatDateTime(start)}`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleExtendVoting: async function (event) {
+    event.preventDefault();
+    const minutes = parseInt($("#extendMinutes").val(), 10);
+    const reason = $("#extendReason").val().trim();
+
+    if (!minutes || minutes <= 0) {
+      return App.setFeedback("Enter how many minutes to add", true);
+    }
+    if (!reason) {
+      return App.setFeedback("Give a reason for the extension; it is recorded on-chain", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Resume before starting or modifying phases.", true);
+    }
+
+    try {
+      App.setFeedback("Extending voting window...", false);
+      await App.contractInstance.extendVoting(minutes, reason, { from: App.account });
+      $("#extendReason").val("");
+      App.setFeedback(`Voting extended by ${minutes} minutes`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
   handleCloseVoting: async function () {
     if (App.isPaused) {
       return App.setFeedback("Election is paused. Resume before closing voting.", true);
     }
+    if (App.phaseId === 2) {
+      return App.handleOpenReveal();
+    }
     try {
       App.setFeedback("Closing voting...", false);
       await App.contractInstance.closeVoting({ from: App.account });
@@ -532,6 +2972,17 @@ App = {
     }
   },
 
+  handleOpenReveal: async function () {
+    try {
+      App.setFeedback("Closing commits and opening reveal phase...", false);
+      await App.contractInstance.openReveal({ from: App.account });
+      App.setFeedback("Reveal phase started. Voters can now reveal their ballots.", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
   handlePauseElection: async function () {
     try {
       App.setFeedback("Pausing election...", false);
@@ -555,7 +3006,20 @@ App = {
   },
 
   handleVote: async function () {
-    const proposalId = $("#proposalSelect").val();
+    if (App.phaseId === 2) {
+      return App.handleCommitVote();
+    }
+    if (App.phaseId === 3) {
+      return App.handleRevealVote();
+    }
+    const option = App.ballotType === App.ballotTypes.SINGLE ? "" : $("#ballotOptionSelect").val();
+    if (App.ballotType === App.ballotTypes.RANKED_CHOICE && !option) {
+      return App.handleRankedVote();
+    }
+    if (App.ballotType === App.ballotTypes.QUADRATIC && !option) {
+      return App.handleQuadraticVote();
+    }
+    const proposalId = option || $("#proposalSelect").val();
     
     if (proposalId === "" || proposalId === null) {
       return App.setFeedback("Select a proposal first", true);
@@ -565,6 +3029,7 @@ App = {
     }
 
     try {
+      await App.ensureEligibility();
       App.setFeedback("Submitting vote...", false);
       await App.contractInstance.vote(proposalId, { from: App.account });
       App.setFeedback("Vote submitted successfully!", false);
@@ -574,6 +3039,252 @@ App = {
     }
   },
 
+  handleRankedVote: async function () {
+    const ranking = App.getRanking();
+
+    if (ranking.length === 0) {
+      return App.setFeedback("Rank at least one proposal", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Voting will resume once unpaused.", true);
+    }
+
+    try {
+      await App.ensureEligibility();
+      App.setFeedback("Submitting ranked ballot...", false);
+      await App.contractInstance.voteRanked(ranking, { from: App.account });
+      App.setFeedback("Ranked ballot submitted successfully!", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleQuadraticVote: async function () {
+    const allocation = App.getAllocation();
+    const spent = App.quadraticCost(allocation);
+
+    if (spent === 0) {
+      return App.setFeedback("Move at least one slider to cast votes", true);
+    }
+    if (spent > App.creditBudget) {
+      return App.setFeedback("Allocation exceeds your voice credits", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Voting will resume once unpaused.", true);
+    }
+
+    try {
+      await App.ensureEligibility();
+      App.setFeedback("Submitting quadratic ballot...", false);
+      await App.contractInstance.voteQuadratic(allocation, { from: App.account });
+      App.setFeedback(`Quadratic ballot submitted using ${spent} credits!`, false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  // ============ SECRET BALLOT ============
+
+  handleCommitVote: async function () {
+    const option = App.ballotType === App.ballotTypes.SINGLE ? "" : $("#ballotOptionSelect").val();
+    let choices;
+    if (option) {
+      choices = [option];
+    } else if (App.ballotType === App.ballotTypes.RANKED_CHOICE) {
+      choices = App.getRanking();
+    } else if (App.ballotType === App.ballotTypes.QUADRATIC) {
+      choices = App.quadraticCost(App.getAllocation()) > 0 ? App.getAllocation() : [];
+    } else {
+      const proposalId = $("#proposalSelect").val();
+      if (proposalId === "" || proposalId === null) {
+        choices = [];
+      } else {
+        // Option IDs do not fit a JS number, so they stay hex strings
+        choices = [App.ballotOptionLabel(proposalId) ? proposalId : parseInt(proposalId, 10)];
+      }
+    }
+
+    if (choices.length === 0) {
+      return App.setFeedback("Select a proposal first", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Voting will resume once unpaused.", true);
+    }
+
+    const salt = App.generateSalt();
+    const commitment = App.computeCommitment(App.account, choices, salt);
+    const previous = App.loadSecretBallot();
+
+    try {
+      await App.ensureEligibility();
+      // Save before sending so a closed tab cannot lose the only copy of the salt
+      App.saveSecretBallot({ choices, salt });
+      App.setFeedback("Committing sealed vote...", false);
+      await App.contractInstance.commitVote(commitment, { from: App.account });
+      App.setFeedback("Vote committed. Return during the reveal phase to have it counted.", false);
+      App.refreshState();
+    } catch (error) {
+      // The earlier commitment (if any) is still the one on chain
+      if (previous) {
+        App.saveSecretBallot(previous);
+      } else {
+        window.localStorage.removeItem(App.secretBallotKey());
+      }
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  handleRevealVote: async function () {
+    const ballot = App.loadSecretBallot();
+
+    if (!ballot) {
+      return App.setFeedback("No saved ballot found in this browser for this account", true);
+    }
+    if (App.isPaused) {
+      return App.setFeedback("Election is paused. Voting will resume once unpaused.", true);
+    }
+
+    try {
+      App.setFeedback("Revealing vote...", false);
+      await App.contractInstance.revealVote(ballot.choices, ballot.salt, { from: App.account });
+      App.setFeedback("Vote revealed and counted!", false);
+      App.refreshState();
+    } catch (error) {
+      App.setFeedback(App.extractError(error), true);
+    }
+  },
+
+  // Mirrors GovernanceVoting.computeCommitment: keccak256(abi.encodePacked(account, choices, salt))
+  computeCommitment: function (account, choices, salt) {
+    const packed = account.toLowerCase().replace(/^0x/, "") +
+      choices.map((id) => (typeof id === "string" ? id.replace(/^0x/, "") : id.toString(16)).padStart(64, "0")).join("") +
+      salt.replace(/^0x/, "");
+    if (App.web3.utils && App.web3.utils.keccak256) {
+      return App.web3.utils.keccak256("0x" + packed);
+    }
+    return App.web3.sha3(packed, { encoding: "hex" });
+  },
+
+  generateSalt: function () {
+    const bytes = new Uint8Array(32);
+    window.crypto.getRandomValues(bytes);
+    return "0x" + Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  },
+
+  isNonZeroHash: function (hash) {
+    return !!hash && !/^0x0*$/.test(hash);
+  },
+
+  secretBallotKey: function () {
+    return `secretBallot:${App.contractInstance.address}:${App.account.toLowerCase()}`;
+  },
+
+  saveSecretBallot: function (ballot) {
+    window.localStorage.setItem(App.secretBallotKey(), JSON.stringify(ballot));
+  },
+
+  loadSecretBallot: function () {
+    try {
+      return JSON.parse(window.localStorage.getItem(App.secretBallotKey()));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // ============ QUADRATIC BALLOT ============
+
+  // Recomputes credits after a slider moves, pulling it back if the budget is exceeded
+  updateQuadraticBallot: function (event) {
+    let spent = App.quadraticCost(App.getAllocation());
+
+    if (event && spent > App.creditBudget) {
+      const slider = $(event.target);
+      const current = parseInt(slider.val(), 10);
+      const otherCredits = spent - current * current;
+      slider.val(App.calculateQuadratic(App.creditBudget - otherCredits));
+      spent = App.quadraticCost(App.getAllocation());
+    }
+
+    $("#quadraticBallot .quadratic-slider").each(function () {
+      const votes = parseInt($(this).val(), 10);
+      $(this).siblings(".quadratic-cost").text(`${votes} votes · ${votes * votes} credits`);
+    });
+    $("#creditsRemaining").text(App.creditBudget - spent);
+  },
+
+  getAllocation: function () {
+    const allocation = [];
+    $("#quadraticBallot .quadratic-slider").each(function () {
+      allocation[parseInt($(this).data("proposal-id"), 10)] = parseInt($(this).val(), 10);
+    });
+    return allocation;
+  },
+
+  quadraticCost: function (allocation) {
+    return allocation.reduce((total, votes) => total + votes * votes, 0);
+  },
+
+  // ============ RANKED BALLOT ============
+
+  bindRankedBallot: function () {
+    const list = $("#rankedBallot");
+
+    list.on("dragstart", ".ranked-item", function (event) {
+      App.draggedItem = $(this);
+      // Firefox only starts a drag when data is attached
+      event.originalEvent.dataTransfer.effectAllowed = "move";
+      event.originalEvent.dataTransfer.setData("text/plain", $(this).data("proposal-id"));
+      $(this).addClass("dragging");
+    });
+
+    list.on("dragover", ".ranked-item", function (event) {
+      event.preventDefault();
+      const target = $(this);
+      if (!App.draggedItem || target.is(App.draggedItem)) return;
+      const midpoint = target.offset().top + target.outerHeight() / 2;
+      if (event.originalEvent.pageY < midpoint) {
+        target.before(App.draggedItem);
+      } else {
+        target.after(App.draggedItem);
+      }
+    });
+
+    list.on("drop", function (event) {
+      event.preventDefault();
+    });
+
+    list.on("dragend", ".ranked-item", function () {
+      $(this).removeClass("dragging");
+      App.draggedItem = null;
+      App.renumberRanking();
+    });
+
+    list.on("change", ".rank-include input", App.renumberRanking);
+  },
+
+  renumberRanking: function () {
+    let position = 0;
+    $("#rankedBallot .ranked-item").each(function () {
+      const item = $(this);
+      const included = item.find(".rank-include input").prop("checked");
+      item.toggleClass("unranked", !included);
+      item.find(".rank-position").text(included ? ++position : "-");
+    });
+  },
+
+  getRanking: function () {
+    const ranking = [];
+    $("#rankedBallot .ranked-item").each(function () {
+      const item = $(this);
+      if (item.find(".rank-include input").prop("checked")) {
+        ranking.push(parseInt(item.data("proposal-id"), 10));
+      }
+    });
+    return ranking;
+  },
+
   refreshHistory: async function () {
     const timeline = $("#historyTimeline");
     if (!timeline.length) return;
@@ -695,29 +3406,135 @@ App = {
     }
   },
 
+  // Before/after diff of the fields an edit changed
+  describeProposalEdit: function (values) {
+    const id = parseInt((values.proposalId || values[0]).toString(), 10) + 1;
+    const fields = [
+      ["Title", values.oldTitle || values[1] || "", values.newTitle || values[2] || ""],
+      ["Description", values.oldDescription || values[3] || "", values.newDescription || values[4] || ""]
+    ];
+    const changes = fields
+      .filter(([, before, after]) => before !== after)
+      .map(([label, before, after]) => `
+        <span class="history-diff">${label}:
+          <del>${App.escapeHtml(before) || "(empty)"}</del> → <ins>${App.escapeHtml(after) || "(empty)"}</ins>
+        </span>`);
+    return `Proposal #${id} Edited${changes.length ? changes.join("") : " (no changes)"}`;
+  },
+
   describeEvent: function (event) {
     const values = event.returnValues || {};
     switch (event.event) {
       case "ElectionCreated":
         return `Election Created: ${values.name || values[0] || ""}`;
       case "ProposalAdded":
-        return `Proposal Added: ${values.title || values[1] || ""}`;
+        return `Proposal Added: ${App.escapeHtml(values.title || values[1] || "")}`;
+      case "ProposalEdited":
+        return App.describeProposalEdit(values);
+      case "ProposalWithdrawn":
+        return `Proposal #${parseInt((values.proposalId || values[0]).toString(), 10) + 1} Withdrawn: ${App.escapeHtml(values.title || values[1] || "")}`;
       case "VoterWhitelisted":
         return `Voter Whitelisted: ${App.formatAddress(values.account || values[0])}`;
+      case "VoterWeightUpdated":
+        return `Voter Weight Updated: ${App.formatAddress(values.account || values[0])} ${(values.oldWeight || values[1]).toString()} → ${(values.newWeight || values[2]).toString()}`;
+      case "VoterRemoved": {
+        const released = parseInt((values.releasedDelegations || values[1]).toString(), 10);
+        return `Voter Removed: ${App.formatAddress(values.account || values[0])}${released ? ` (${released} delegation${released !== 1 ? "s" : ""} cancelled)` : ""}`;
+      }
       case "VoteDelegated":
         return `Delegation Updated (${App.formatAddress(values.from || values[0])} → ${App.formatAddress(values.to || values[1])})`;
       case "Voted":
         return `Vote Cast by ${App.formatAddress(values.account || values[0])}`;
+      case "RankedVoteCast":
+        return `Ranked Ballot Cast by ${App.formatAddress(values.account || values[0])}`;
+      case "BallotTypeChanged": {
+        const type = parseInt((values.ballotType || values[0] || 0).toString(), 10);
+        return `Ballot Type Set: ${App.ballotTypeLabels[type] || "Unknown"}`;
+      }
+      case "QuadraticVoteCast":
+        return `Quadratic Ballot Cast by ${App.formatAddress(values.account || values[0])}`;
+      case "ProposalEliminated": {
+        const round = parseInt((values.round || values[0] || 0).toString(), 10);
+        return `Runoff Round ${round + 1}: Proposal #${(values.proposalId || values[1] || "-").toString()} Eliminated`;
+      }
+      case "SecretBallotChanged": {
+        const enabled = values.enabled !== undefined ? values.enabled : values[0];
+        return String(enabled) === "true" ? "Secret Ballot Enabled" : "Secret Ballot Disabled";
+      }
+      case "DelegationOverridden":
+        return `Delegation Overridden by ${App.formatAddress(values.account || values[0])}`;
+      case "VoteChanged":
+        return `Vote Changed by ${App.formatAddress(values.account || values[0])}`;
+      case "VoteWeightChanged":
+        return `Cast Vote Re-weighted for ${App.formatAddress(values.account || values[0])}`;
+      case "VoteCommitted":
+        return `Sealed Vote Committed by ${App.formatAddress(values.account || values[0])}`;
+      case "RevealStarted":
+        return "Reveal Window Opened";
+      case "EligibilityRootSet":
+        return "Eligibility Root Published";
+      case "ElectorateSizeSet":
+        return `Electorate Size Set to ${(values.size || values[0] || 0).toString()}`;
+      case "EligibilityClaimed":
+        return `Eligibility Proven by ${App.formatAddress(values.account || values[0])}`;
       case "VotingStarted":
         return "Voting Window Opened";
+      case "VotingExtended": {
+        const added = parseInt((values.addedSeconds || values[1] || 0).toString(), 10);
+        return `Voting Extended by ${Math.round(added / 60)} min: ${App.escapeHtml(values.reason || values[2] || "")}`;
+      }
+      case "VotingScheduled": {
+        const start = parseInt((values.startTime || values[0] || 0).toString(), 10);
+        return `Voting Scheduled to Open ${App.formatDateTime(start)}`;
+      }
+      case "QuorumFailed": {
+        const turnout = values.turnout || values[0];
+        const required = values.required || values[1];
+        return `Voting Closed: Failed Quorum (${turnout ? turnout.toString() : "0"} of ${required ? required.toString() : "-"} needed)`;
+      }
       case "VotingEnded": {
         const winnerId = values.winningProposalId || values[0];
-        return `Voting Closed: Winner #${winnerId ? winnerId.toString() : "-"}`;
+        const tie = values.tie !== undefined ? values.tie : values[2];
+        return `Voting Closed: Winner #${winnerId ? winnerId.toString() : "-"}${tie ? " (tie-break)" : ""}`;
+      }
+      case "NoVotesCast":
+        return "Voting Closed: No Votes Cast";
+      case "AllProposalsRejected":
+        return "Voting Closed: All Proposals Rejected";
+      case "RejectAllOptionChanged": {
+        const offered = values.offered !== undefined ? values.offered : values[0];
+        return String(offered) === "true" ? "\"Reject All\" Option Offered" : "\"Reject All\" Option Removed";
+      }
+      case "TieBreakPolicyChanged": {
+        const policy = parseInt((values.policy || values[0] || 0).toString(), 10);
+        return `Tie-Break Policy Set: ${App.tieBreakLabels[policy] || "Unknown"}`;
+      }
+      case "TieDetected": {
+        const ids = values.proposalIds || values[0] || [];
+        return `Tie Detected Between ${ids.map((id) => `#${id.toString()}`).join(", ")}`;
       }
+      case "TieRunoffStarted":
+        return "Runoff Vote Opened Between Tied Proposals";
+      case "RoleUpdated": {
+        const role = App.roles[parseInt((values.role || values[0] || 0).toString(), 10)];
+        const granted = values.granted !== undefined ? values.granted : values[2];
+        const label = role ? role.label : "Unknown";
+        return `${label} Role ${granted ? "Granted to" : "Revoked from"} ${App.formatAddress(values.account || values[1])}`;
+      }
+      case "AdminTransferred":
+        return `Admin Transferred to ${App.formatAddress(values.newAdmin || values[1])}`;
+      case "CouncilInstalled":
+        return `Approval Council Installed at ${App.formatAddress(values.council || values[0])}`;
+      case "ExecutorInstalled":
+        return `Proposal Executor Installed at ${App.formatAddress(values.executor || values[0])}`;
       case "Paused":
         return "Election Paused";
       case "Unpaused":
         return "Election Resumed";
+      case "DeadlineShifted": {
+        const pausedFor = parseInt((values.pausedSeconds || values[0] || 0).toString(), 10);
+        return `Deadline Moved Back ${Math.ceil(pausedFor / 60)} min After Pause`;
+      }
       default:
         return event.event || "Contract Interaction";
     }
@@ -736,10 +3553,26 @@ App = {
     return Math.floor(Math.sqrt(weight));
   },
 
+  // Abstain always, "Reject all" only when the admin put it on the ballot
+  offeredBallotOptions: function () {
+    return App.ballotOptions.filter((option) => option.label !== "Reject all" || App.rejectAllOffered);
+  },
+
+  // Label of the option a choice ID (BN, BigNumber or hex string) stands for; null for proposals
+  ballotOptionLabel: function (id) {
+    const hex = typeof id === "string" ? id.toLowerCase() : "0x" + id.toString(16);
+    const option = App.ballotOptions.find((candidate) => candidate.id === hex);
+    return option ? option.label : null;
+  },
+
   isValidAddress: function (address) {
     return /^0x[a-fA-F0-9]{40}$/.test(address);
   },
 
+  escapeHtml: function (text) {
+    return $("<div>").text(text).html();
+  },
+
   formatAddress: function (address) {
     if (!address) return "-";
     return address.substring(0, 6) + "..." + address.substring(38);
@@ -0,0 +1,76 @@
+const GovernanceVoting = artifacts.require("GovernanceVoting");
+const ElectionCouncil = artifacts.require("ElectionCouncil");
+const { expectRevert, increaseTime } = require("./helpers");
+
+contract("ElectionCouncil", (accounts) => {
+  const [admin, member1, member2, member3, voter] = accounts;
+  const Action = { CloseVoting: 0, PauseElection: 1, ResumeElection: 2 };
+  const Phase = { Setup: 0, Voting: 1, Finished: 4 };
+
+  let election;
+  let council;
+
+  beforeEach(async () => {
+    election = await GovernanceVoting.new("Council Election", ["Proposal A", "Proposal B"], 0, 0);
+    council = await ElectionCouncil.new(election.address, [member1, member2, member3], 2);
+    await election.installCouncil(council.address, { from: admin });
+  });
+
+  it("runs an action only after enough approvals", async () => {
+    await council.propose(Action.PauseElection, { from: member1 });
+    await expectRevert(council.execute(0, { from: member1 }), "Not enough approvals");
+
+    await council.approve(0, { from: member2 });
+    assert.equal(await council.hasApproved(0, member2), true);
+    await council.execute(0, { from: member3 });
+
+    assert.equal(await election.paused(), true);
+    const action = await council.getAction(0);
+    assert.equal(action.approvals.toNumber(), 2);
+    assert.equal(action.executed, true);
+    await expectRevert(council.execute(0, { from: member1 }), "already executed");
+  });
+
+  it("takes single signatures away from the admin and pausers", async () => {
+    await election.setRole(2, voter, true, { from: admin });
+    await expectRevert(election.pauseElection({ from: voter }), "Council approval required");
+
+    await election.whitelistVoter(voter, 4, { from: admin });
+    await election.startVoting(60, { from: admin });
+    await expectRevert(election.closeVoting({ from: admin }), "Council approval required");
+
+    await council.propose(Action.CloseVoting, { from: member2 });
+    await council.approve(0, { from: member3 });
+    await council.execute(0, { from: member2 });
+    assert.equal((await election.phase()).toNumber(), Phase.Finished);
+  });
+
+  it("rejects outsiders, double approvals and a second council", async () => {
+    await expectRevert(council.propose(Action.PauseElection, { from: voter }), "Only council members");
+    await council.propose(Action.PauseElection, { from: member1 });
+    await expectRevert(council.approve(0, { from: member1 }), "already approved");
+    await expectRevert(election.installCouncil(voter, { from: admin }), "already installed");
+  });
+
+  it("only installs a council built for this election", async () => {
+    const other = await GovernanceVoting.new("Other Election", ["Proposal A"], 0, 0);
+    const stray = await ElectionCouncil.new(election.address, [member1], 1);
+    await expectRevert(other.installCouncil(stray.address, { from: admin }), "built for another election");
+  });
+
+  it("lets approvals expire when an action is not executed in time", async () => {
+    await council.propose(Action.PauseElection, { from: member1 });
+    const lifetime = (await council.ACTION_LIFETIME()).toNumber();
+    await increaseTime(lifetime + 1);
+
+    assert.equal(await council.isExpired(0), true);
+    await expectRevert(council.approve(0, { from: member2 }), "Action has expired");
+    await expectRevert(council.execute(0, { from: member1 }), "Action has expired");
+
+    // A fresh proposal works as usual
+    await council.propose(Action.PauseElection, { from: member1 });
+    await council.approve(1, { from: member2 });
+    await council.execute(1, { from: member2 });
+    assert.equal(await election.paused(), true);
+  });
+});
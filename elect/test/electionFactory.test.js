@@ -0,0 +1,71 @@
+const GovernanceVoting = artifacts.require("GovernanceVoting");
+const ElectionFactory = artifacts.require("ElectionFactory");
+
+contract("ElectionFactory", (accounts) => {
+  const [deployer, organizer, outsider] = accounts;
+  const proposals = ["Proposal A", "Proposal B"];
+
+  let template;
+  let factory;
+
+  beforeEach(async () => {
+    template = await GovernanceVoting.new("Template", [], 0, 0);
+    factory = await ElectionFactory.new(template.address);
+  });
+
+  it("deploys initialized elections owned by the caller", async () => {
+    await factory.createElection("Club Vote", "club", proposals, 1, 40, { from: organizer });
+
+    assert.equal((await factory.electionCount()).toNumber(), 1);
+    const info = await factory.getElection(0);
+    assert.equal(info.name, "Club Vote");
+    assert.equal(info.category, "club");
+    assert.equal(info.creator, organizer);
+    assert.equal(await factory.isElection(info.election), true);
+
+    const election = await GovernanceVoting.at(info.election);
+    assert.equal(await election.admin(), organizer);
+    assert.equal(await election.electionName(), "Club Vote");
+    assert.equal((await election.proposalCount()).toNumber(), proposals.length);
+    assert.equal((await election.quorumType()).toNumber(), 1);
+    assert.equal((await election.quorumPercent()).toNumber(), 40);
+
+    await election.whitelistVoter(outsider, 4, { from: organizer });
+    assert.equal((await election.getVoter(outsider)).weight.toNumber(), 4);
+  });
+
+  it("cannot initialize an election twice", async () => {
+    await factory.createElection("Club Vote", "club", proposals, 0, 0, { from: organizer });
+    const election = await GovernanceVoting.at((await factory.getElection(0)).election);
+
+    for (const target of [election, template]) {
+      try {
+        await target.initialize("Hijack", [], 0, 0, outsider, { from: outsider });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("already initialized"));
+      }
+    }
+  });
+
+  it("lists directly deployed elections for their admin only", async () => {
+    try {
+      await factory.registerElection(template.address, "council", { from: outsider });
+      assert.fail("expected revert");
+    } catch (err) {
+      assert(err.message.includes("Only the election admin"));
+    }
+
+    await factory.registerElection(template.address, "council", { from: deployer });
+    const info = await factory.getElection(0);
+    assert.equal(info.election, template.address);
+    assert.equal(info.name, "Template");
+
+    try {
+      await factory.registerElection(template.address, "council", { from: deployer });
+      assert.fail("expected revert");
+    } catch (err) {
+      assert(err.message.includes("already listed"));
+    }
+  });
+});
@@ -0,0 +1,1054 @@
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const GovernanceVoting = artifacts.require("GovernanceVoting");
+const { expectRevert, increaseTime, latestTimestamp, newAccounts } = require("./helpers");
+
+contract("GovernanceVoting", (accounts) => {
+  const [admin, voter1, voter2, voter3, voter4] = accounts;
+  const proposals = ["Proposal A", "Proposal B", "Proposal C"];
+  const RANKED_CHOICE = 1;
+  const QUADRATIC = 2;
+  const Phase = { Setup: 0, Voting: 1, Commit: 2, Reveal: 3, Finished: 4 };
+  const QuorumType = { VoterShare: 0, WeightShare: 1 };
+  const Outcome = { Pending: 0, Decided: 1, FailedQuorum: 2, NoVotes: 3, Tied: 4, Rejected: 5 };
+  const TieBreak = { RawWeight: 0, AdminDecision: 1, SeededRandom: 2, Runoff: 3 };
+  const Role = { WhitelistOfficial: 0, ProposalManager: 1, Pauser: 2, Registrar: 3 };
+
+  let election;
+
+  beforeEach(async () => {
+    election = await GovernanceVoting.new("Test Election", proposals, QuorumType.VoterShare, 0);
+  });
+
+  describe("batch whitelisting", () => {
+    it("whitelists every row of a batch", async () => {
+      await election.whitelistVoters([voter1, voter2, voter3], [4, 9, 16], { from: admin });
+
+      assert.equal((await election.getVoterCount()).toNumber(), 3);
+      const voter = await election.getVoter(voter3);
+      assert.equal(voter.whitelisted, true);
+      assert.equal(voter.weight.toNumber(), 16);
+    });
+
+    it("rejects mismatched rows and non-admin callers", async () => {
+      try {
+        await election.whitelistVoters([voter1, voter2], [4], { from: admin });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("length mismatch"));
+      }
+
+      try {
+        await election.whitelistVoters([voter1], [4], { from: voter2 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Only admin"));
+      }
+    });
+  });
+
+  describe("merkle eligibility", () => {
+    let tree;
+
+    beforeEach(async () => {
+      tree = StandardMerkleTree.of([[voter1, "9"], [voter2, "4"], [voter3, "1"]], ["address", "uint256"]);
+      await election.setEligibilityRoot(tree.root, { from: admin });
+    });
+
+    const proofFor = (account) => {
+      for (const [index, [address]] of tree.entries()) {
+        if (address === account) return tree.getProof(index);
+      }
+    };
+
+    it("registers voters who present a valid proof", async () => {
+      await election.claimEligibility(9, proofFor(voter1), { from: voter1 });
+
+      const voter = await election.getVoter(voter1);
+      assert.equal(voter.whitelisted, true);
+      assert.equal(voter.weight.toNumber(), 9);
+
+      // The root alone is enough to open voting; others can claim later
+      await election.startVoting(60, { from: admin });
+      await election.claimEligibility(4, proofFor(voter2), { from: voter2 });
+      await election.vote(1, { from: voter2 });
+      assert.equal((await election.getProposal(1)).rawVotes.toNumber(), 4);
+    });
+
+    it("rejects a proof for a different weight or account", async () => {
+      try {
+        await election.claimEligibility(90, proofFor(voter1), { from: voter1 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Invalid eligibility proof"));
+      }
+
+      try {
+        await election.claimEligibility(9, proofFor(voter1), { from: voter4 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Invalid eligibility proof"));
+      }
+    });
+
+    it("keeps a removed voter out until an official whitelists them again", async () => {
+      await election.claimEligibility(9, proofFor(voter1), { from: voter1 });
+      await election.removeVoter(voter1, { from: admin });
+      await expectRevert(election.claimEligibility(9, proofFor(voter1), { from: voter1 }), "Voter was removed");
+
+      await election.setRole(Role.Registrar, voter4, true, { from: admin });
+      await expectRevert(election.registerVoter(voter1, 9, { from: voter4 }), "Voter was removed");
+
+      await election.whitelistVoter(voter1, 2, { from: admin });
+      assert.equal((await election.getVoter(voter1)).weight.toNumber(), 2);
+    });
+  });
+
+  describe("ranked-choice ballots", () => {
+    beforeEach(async () => {
+      await election.setBallotType(RANKED_CHOICE, { from: admin });
+      await election.whitelistVoter(voter1, 16, { from: admin });
+      await election.whitelistVoter(voter2, 9, { from: admin });
+      await election.whitelistVoter(voter3, 9, { from: admin });
+      await election.whitelistVoter(voter4, 4, { from: admin });
+      await election.startVoting(60, { from: admin });
+    });
+
+    it("rejects single-choice votes and malformed rankings", async () => {
+      try {
+        await election.vote(0, { from: voter1 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Wrong ballot type"));
+      }
+
+      try {
+        await election.voteRanked([1, 1], { from: voter1 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Duplicate proposal"));
+      }
+    });
+
+    it("eliminates the weakest proposal and transfers its ballots", async () => {
+      // First preferences (quadratic): A = 4, B = 3, C = 3 + 2 = 5
+      await election.voteRanked([0, 1], { from: voter1 });
+      await election.voteRanked([1, 0], { from: voter2 });
+      await election.voteRanked([2], { from: voter3 });
+      await election.voteRanked([2, 1], { from: voter4 });
+      await election.closeVoting({ from: admin });
+
+      const rounds = await election.runoffRoundCount();
+      assert.equal(rounds.toNumber(), 2, "expected one elimination round");
+
+      const first = await election.getRunoffRound(0);
+      assert.deepEqual(first.tallies.map((t) => t.toNumber()), [4, 3, 5]);
+      assert.equal(first.hasElimination, true);
+      assert.equal(first.eliminatedProposalId.toNumber(), 1);
+
+      const final = await election.getRunoffRound(1);
+      assert.deepEqual(final.tallies.map((t) => t.toNumber()), [7, 0, 5]);
+      assert.equal(final.hasElimination, false);
+
+      const winner = await election.winningProposal();
+      assert.equal(winner.proposalId.toNumber(), 0, "A should win after transfers");
+    });
+  });
+
+  describe("quadratic ballots", () => {
+    beforeEach(async () => {
+      await election.setBallotType(QUADRATIC, { from: admin });
+      await election.whitelistVoter(voter1, 25, { from: admin });
+      await election.whitelistVoter(voter2, 9, { from: admin });
+      await election.startVoting(60, { from: admin });
+    });
+
+    it("charges n squared credits per proposal and enforces the budget", async () => {
+      try {
+        await election.voteQuadratic([4, 3, 1], { from: voter1 }); // 16 + 9 + 1 = 26 credits
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Not enough voice credits"));
+      }
+
+      await election.voteQuadratic([4, 3, 0], { from: voter1 }); // exactly 25 credits
+      await election.voteQuadratic([0, 0, 3], { from: voter2 });
+
+      const a = await election.getProposal(0);
+      assert.equal(a.quadraticVotes.toNumber(), 4);
+      assert.equal(a.rawVotes.toNumber(), 16, "raw column tracks credits spent");
+
+      const allocation = await election.getQuadraticAllocation(voter1);
+      assert.deepEqual(allocation.map((v) => v.toNumber()), [4, 3, 0]);
+
+      const voter = await election.getVoter(voter1);
+      assert.equal(voter.votedProposalId.toNumber(), 0, "largest allocation is the headline choice");
+    });
+
+    it("scales a spent allocation down when a delegator votes directly", async () => {
+      await election.delegate(voter1, { from: voter2 });
+      await election.voteQuadratic([5, 3, 0], { from: voter1 }); // 25 + 9 = 34 credits
+
+      await election.voteQuadratic([0, 0, 3], { from: voter2 });
+
+      const allocation = await election.getQuadraticAllocation(voter1);
+      assert.deepEqual(allocation.map((v) => v.toNumber()), [4, 2, 0], "20 credits, within the 25 left");
+      const a = await election.getProposal(0);
+      assert.equal(a.quadraticVotes.toNumber(), 4);
+      assert.equal(a.rawVotes.toNumber(), 16);
+      assert.equal((await election.getProposal(1)).rawVotes.toNumber(), 4);
+      assert.equal((await election.getProposal(2)).quadraticVotes.toNumber(), 3);
+    });
+
+    it("requires one entry per proposal", async () => {
+      try {
+        await election.voteQuadratic([1, 1], { from: voter2 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("every proposal"));
+      }
+    });
+  });
+
+  describe("transitive delegation", () => {
+    beforeEach(async () => {
+      await election.whitelistVoter(voter1, 4, { from: admin });
+      await election.whitelistVoter(voter2, 5, { from: admin });
+      await election.whitelistVoter(voter3, 7, { from: admin });
+    });
+
+    it("moves weight to the end of the chain", async () => {
+      await election.delegate(voter2, { from: voter1 });
+      await election.delegate(voter3, { from: voter2 });
+
+      const chain = await election.getDelegationChain(voter1);
+      assert.deepEqual(chain, [voter2, voter3]);
+
+      const finalDelegate = await election.getVoter(voter3);
+      assert.equal(finalDelegate.delegatedWeight.toNumber(), 9, "voter3 receives both voter1 and voter2");
+      assert.equal(finalDelegate.totalVotingPower.toNumber(), 16);
+
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter3 });
+      const proposal = await election.getProposal(0);
+      assert.equal(proposal.rawVotes.toNumber(), 16);
+    });
+
+    it("rejects delegation loops", async () => {
+      await election.delegate(voter2, { from: voter1 });
+      await election.delegate(voter3, { from: voter2 });
+
+      try {
+        await election.delegate(voter1, { from: voter3 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Delegation loop detected"));
+      }
+    });
+
+    it("caps the whole chain, counting the delegations that lead into the delegator", async () => {
+      const chain = accounts.slice(1).concat(await newAccounts(1, admin));
+      for (const account of chain.slice(3)) {
+        await election.whitelistVoter(account, 1, { from: admin });
+      }
+
+      // Two chains of four delegations: chain[0] → … → chain[4] and chain[5] → … → chain[9]
+      for (let i = 0; i < 4; i++) {
+        await election.delegate(chain[i + 1], { from: chain[i] });
+        await election.delegate(chain[i + 6], { from: chain[i + 5] });
+      }
+      await expectRevert(election.delegate(chain[5], { from: chain[4] }), "Delegation chain too long");
+
+      // Without chain[0] the joined chain holds exactly the maximum of eight delegations
+      await election.removeDelegate({ from: chain[0] });
+      await election.delegate(chain[5], { from: chain[4] });
+      assert.equal((await election.getDelegationChain(chain[1])).length, 8);
+
+      // Its end cannot delegate onward either
+      await expectRevert(election.delegate(chain[0], { from: chain[9] }), "Delegation chain too long");
+    });
+
+    it("pulls weight back out of the whole chain on removal", async () => {
+      await election.delegate(voter2, { from: voter1 });
+      await election.delegate(voter3, { from: voter2 });
+      await election.removeDelegate({ from: voter1 });
+
+      assert.equal((await election.getVoter(voter2)).delegatedWeight.toNumber(), 0);
+      assert.equal((await election.getVoter(voter3)).delegatedWeight.toNumber(), 5);
+    });
+
+    it("keeps the cast vote intact when a voter moves up their own chain", async () => {
+      await election.whitelistVoter(voter4, 9, { from: admin });
+      await election.delegate(voter2, { from: voter1 });
+      await election.delegate(voter3, { from: voter2 });
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter3 }); // 4 + 5 + 7 = 16
+      await election.vote(0, { from: voter4 });
+
+      await election.delegate(voter3, { from: voter1 });
+
+      assert.deepEqual(await election.getDelegationChain(voter1), [voter3]);
+      assert.equal((await election.getVoter(voter2)).delegatedWeight.toNumber(), 0);
+      assert.equal((await election.getVoter(voter3)).delegatedWeight.toNumber(), 9);
+      const proposal = await election.getProposal(0);
+      assert.equal(proposal.quadraticVotes.toNumber(), 7, "sqrt(16) + sqrt(9), unchanged");
+      assert.equal(proposal.rawVotes.toNumber(), 25);
+    });
+  });
+
+  describe("delegation while voting", () => {
+    beforeEach(async () => {
+      await election.whitelistVoter(voter1, 7, { from: admin });
+      await election.whitelistVoter(voter2, 9, { from: admin });
+      await election.startVoting(60, { from: admin });
+    });
+
+    it("adds late delegations to the delegate's cast vote", async () => {
+      await election.vote(2, { from: voter2 });
+      assert.equal((await election.getProposal(2)).quadraticVotes.toNumber(), 3);
+
+      await election.delegate(voter2, { from: voter1 });
+
+      const proposal = await election.getProposal(2);
+      assert.equal(proposal.quadraticVotes.toNumber(), 4, "sqrt(9 + 7) after delegation");
+      assert.equal(proposal.rawVotes.toNumber(), 16);
+    });
+
+    it("removes weight from the cast vote on undelegation so the voter can vote", async () => {
+      await election.delegate(voter2, { from: voter1 });
+      await election.vote(2, { from: voter2 });
+      await election.removeDelegate({ from: voter1 });
+
+      assert.equal((await election.getProposal(2)).rawVotes.toNumber(), 9);
+
+      await election.vote(0, { from: voter1 });
+      assert.equal((await election.getProposal(0)).rawVotes.toNumber(), 7);
+    });
+
+    it("lets a delegator override their delegate by voting directly", async () => {
+      await election.delegate(voter2, { from: voter1 });
+      await election.vote(2, { from: voter2 });
+      assert.equal((await election.getProposal(2)).rawVotes.toNumber(), 16);
+
+      await election.vote(0, { from: voter1 });
+
+      assert.equal((await election.getProposal(2)).rawVotes.toNumber(), 9, "delegate keeps only their own weight");
+      assert.equal((await election.getProposal(0)).rawVotes.toNumber(), 7);
+      const voter = await election.getVoter(voter1);
+      assert.equal(voter.delegateAddress, "0x0000000000000000000000000000000000000000");
+    });
+
+    it("stays closed once voting has finished", async () => {
+      await election.closeVoting({ from: admin });
+      try {
+        await election.delegate(voter2, { from: voter1 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Delegation is closed"));
+      }
+    });
+  });
+
+  describe("secret ballots", () => {
+    const salt = web3.utils.keccak256("voter1-salt");
+
+    beforeEach(async () => {
+      await election.setSecretBallot(true, 10, { from: admin });
+      await election.whitelistVoter(voter1, 9, { from: admin });
+      await election.whitelistVoter(voter2, 4, { from: admin });
+      await election.startVoting(60, { from: admin });
+    });
+
+    it("starts in the commit phase and hides tallies until reveal", async () => {
+      assert.equal((await election.phase()).toNumber(), Phase.Commit);
+
+      try {
+        await election.vote(0, { from: voter1 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Voting is not active"));
+      }
+
+      const commitment = await election.computeCommitment(voter1, [1], salt);
+      await election.commitVote(commitment, { from: voter1 });
+
+      const proposal = await election.getProposal(1);
+      assert.equal(proposal.quadraticVotes.toNumber(), 0, "commit must not touch tallies");
+      assert.equal((await election.commitCount()).toNumber(), 1);
+    });
+
+    it("matches the packed hash the dApp computes locally", async () => {
+      const packed = "0x" + voter1.slice(2).toLowerCase() +
+        web3.utils.padLeft(web3.utils.toHex(2), 64).slice(2) + salt.slice(2);
+      const onChain = await election.computeCommitment(voter1, [2], salt);
+      assert.equal(onChain, web3.utils.keccak256(packed));
+    });
+
+    it("counts revealed ballots and rejects mismatched reveals", async () => {
+      await election.commitVote(await election.computeCommitment(voter1, [1], salt), { from: voter1 });
+      await election.commitVote(await election.computeCommitment(voter2, [0], salt), { from: voter2 });
+      await election.openReveal({ from: admin });
+      assert.equal((await election.phase()).toNumber(), Phase.Reveal);
+
+      try {
+        await election.revealVote([0], salt, { from: voter1 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("does not match"));
+      }
+
+      await election.revealVote([1], salt, { from: voter1 });
+      assert.equal((await election.revealCount()).toNumber(), 1);
+
+      try {
+        await election.revealVote([1], salt, { from: voter1 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("already voted"), "revealed ballots cannot be changed");
+      }
+      assert.equal((await election.getProposal(1)).quadraticVotes.toNumber(), 3);
+
+      // voter2 never reveals, so their commitment is not counted
+      await election.closeVoting({ from: admin });
+      const winner = await election.winningProposal();
+      assert.equal(winner.proposalId.toNumber(), 1);
+      assert.equal((await election.getProposal(0)).quadraticVotes.toNumber(), 0);
+    });
+  });
+
+  describe("quorum", () => {
+    it("fails the election when too few voters take part", async () => {
+      election = await GovernanceVoting.new("Test Election", proposals, QuorumType.VoterShare, 50);
+      await election.whitelistVoters([voter1, voter2, voter3], [4, 9, 16], { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter1 });
+
+      const turnout = await election.getTurnout();
+      assert.equal(turnout.turnout.toNumber(), 1);
+      assert.equal(turnout.eligible.toNumber(), 3);
+      assert.equal(turnout.required.toNumber(), 2);
+
+      const tx = await election.closeVoting({ from: admin });
+      assert.equal(tx.logs[0].event, "QuorumFailed");
+      assert.equal((await election.outcome()).toNumber(), Outcome.FailedQuorum);
+
+      try {
+        await election.winningProposal();
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Quorum was not reached"));
+      }
+    });
+
+    it("counts delegated weight towards a weight quorum", async () => {
+      election = await GovernanceVoting.new("Test Election", proposals, QuorumType.WeightShare, 60);
+      await election.whitelistVoters([voter1, voter2, voter3], [4, 9, 16], { from: admin });
+      await election.delegate(voter3, { from: voter1 });
+      await election.startVoting(60, { from: admin });
+      await election.vote(2, { from: voter3 });
+
+      const turnout = await election.getTurnout();
+      assert.equal(turnout.turnout.toNumber(), 20);
+      assert.equal(turnout.required.toNumber(), 18);
+
+      await election.closeVoting({ from: admin });
+      assert.equal((await election.outcome()).toNumber(), Outcome.Decided);
+      assert.equal((await election.winningProposal()).proposalId.toNumber(), 2);
+    });
+
+    it("measures self-registering voters against the declared electorate", async () => {
+      election = await GovernanceVoting.new("Test Election", proposals, QuorumType.VoterShare, 50);
+      const tree = StandardMerkleTree.of([[voter1, "9"], [voter2, "4"], [voter3, "1"], [voter4, "1"]], ["address", "uint256"]);
+      await election.setEligibilityRoot(tree.root, { from: admin });
+      await expectRevert(election.startVoting(60, { from: admin }), "Declare the electorate size for the quorum");
+
+      await election.setElectorateSize(4, { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.claimEligibility(9, tree.getProof(0), { from: voter1 });
+      await election.vote(0, { from: voter1 });
+
+      // One claimed voter alone is not half of the electorate
+      const turnout = await election.getTurnout();
+      assert.equal(turnout.eligible.toNumber(), 4);
+      assert.equal(turnout.required.toNumber(), 2);
+      await election.closeVoting({ from: admin });
+      assert.equal((await election.outcome()).toNumber(), Outcome.FailedQuorum);
+    });
+
+    it("keeps registration from opening up after voting is scheduled", async () => {
+      election = await GovernanceVoting.new("Test Election", proposals, QuorumType.VoterShare, 50);
+      await election.whitelistVoter(voter1, 4, { from: admin });
+      const now = await latestTimestamp();
+      await election.scheduleVoting(now + 3600, now + 7200, { from: admin });
+
+      await expectRevert(election.setRole(Role.Registrar, voter4, true, { from: admin }), "Declare the electorate size for the quorum");
+      await election.setElectorateSize(3, { from: admin });
+      await election.setRole(Role.Registrar, voter4, true, { from: admin });
+      await expectRevert(election.setElectorateSize(0, { from: admin }), "Declare the electorate size for the quorum");
+    });
+
+    it("rejects a quorum above 100%", async () => {
+      try {
+        await GovernanceVoting.new("Test Election", proposals, QuorumType.VoterShare, 101);
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("cannot exceed 100%"));
+      }
+    });
+  });
+
+  describe("ties", () => {
+    beforeEach(async () => {
+      await election.whitelistVoters([voter1, voter2, voter3], [4, 5, 4], { from: admin });
+    });
+
+    it("reports an election nobody voted in", async () => {
+      await election.startVoting(60, { from: admin });
+      const tx = await election.closeVoting({ from: admin });
+
+      assert.equal(tx.logs[0].event, "NoVotesCast");
+      assert.equal((await election.outcome()).toNumber(), Outcome.NoVotes);
+      try {
+        await election.winningProposal();
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("No votes were cast"));
+      }
+    });
+
+    it("breaks a quadratic tie on raw weight by default", async () => {
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter1 });
+      await election.vote(1, { from: voter2 });
+
+      // sqrt(4) and sqrt(5) both round down to 2 votes
+      await election.closeVoting({ from: admin });
+      const winner = await election.winningProposal();
+      assert.equal(winner.proposalId.toNumber(), 1);
+      assert.equal(winner.tie, true);
+      assert.deepEqual(winner.tiedProposalIds.map(Number), [0, 1]);
+    });
+
+    it("leaves an unbreakable tie to the admin", async () => {
+      await election.setTieBreakPolicy(TieBreak.AdminDecision, "0x" + "00".repeat(32), { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter1 });
+      await election.vote(2, { from: voter3 });
+      const tx = await election.closeVoting({ from: admin });
+
+      assert.equal(tx.logs[0].event, "TieDetected");
+      assert.equal((await election.outcome()).toNumber(), Outcome.Tied);
+
+      try {
+        await election.resolveTie(1, { from: admin });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("not part of the tie"));
+      }
+
+      const resolved = await election.resolveTie(2, { from: admin });
+      assert.equal(resolved.logs[0].event, "VotingEnded");
+      assert.equal(resolved.logs[0].args.tie, true);
+      assert.equal((await election.winningProposal()).proposalId.toNumber(), 2);
+    });
+
+    it("picks a tied proposal from the seed and the tied IDs alone", async () => {
+      const seed = web3.utils.keccak256("seed");
+      await election.setTieBreakPolicy(TieBreak.SeededRandom, seed, { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter1 });
+      await election.vote(2, { from: voter3 });
+      await election.closeVoting({ from: admin });
+
+      // keccak256(abi.encodePacked(seed, [0, 2])), the same whichever block closes voting
+      const pad = (n) => web3.utils.padLeft(web3.utils.toHex(n), 64).slice(2);
+      const draw = web3.utils.toBN(web3.utils.keccak256(seed + pad(0) + pad(2)));
+      const expected = [0, 2][draw.modn(2)];
+
+      assert.equal((await election.outcome()).toNumber(), Outcome.Decided);
+      assert.equal((await election.winningProposal()).proposalId.toNumber(), expected);
+    });
+
+    it("reopens voting between the tied proposals for a runoff", async () => {
+      await election.setTieBreakPolicy(TieBreak.Runoff, "0x" + "00".repeat(32), { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter1 });
+      await election.vote(2, { from: voter3 });
+      await election.closeVoting({ from: admin });
+
+      assert.equal((await election.phase()).toNumber(), Phase.Voting);
+      assert.equal(await election.inTieRunoff(), true);
+      assert.equal((await election.getProposal(0)).quadraticVotes.toNumber(), 0);
+
+      try {
+        await election.vote(1, { from: voter2 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("not on the runoff ballot"));
+      }
+
+      await election.vote(2, { from: voter1 });
+      await election.closeVoting({ from: admin });
+      const winner = await election.winningProposal();
+      assert.equal(winner.proposalId.toNumber(), 2);
+      assert.equal(winner.tie, true);
+    });
+
+    it("gives a runoff the window's first length, without extensions or paused time", async () => {
+      await election.setTieBreakPolicy(TieBreak.Runoff, "0x" + "00".repeat(32), { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter1 });
+      await election.vote(2, { from: voter3 });
+      await election.extendVoting(30, "Outage", { from: admin });
+      await election.pauseElection({ from: admin });
+      await increaseTime(600);
+      await election.resumeElection({ from: admin });
+
+      const tx = await election.closeVoting({ from: admin });
+      const closedAt = (await web3.eth.getBlock(tx.receipt.blockNumber)).timestamp;
+      assert.equal((await election.votingEndTime()).toNumber() - closedAt, 3600);
+    });
+  });
+
+  describe("scheduled voting", () => {
+    beforeEach(async () => {
+      await election.whitelistVoters([voter1, voter2], [4, 9], { from: admin });
+    });
+
+    it("opens voting by itself when the start time arrives", async () => {
+      const now = await latestTimestamp();
+      const tx = await election.scheduleVoting(now + 3600, now + 7200, { from: admin });
+      assert.equal(tx.logs[0].event, "VotingScheduled");
+      assert.equal((await election.phase()).toNumber(), Phase.Setup);
+
+      try {
+        await election.vote(0, { from: voter1 });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Voting is not active"));
+      }
+
+      await increaseTime(3601);
+      assert.equal((await election.phase()).toNumber(), Phase.Voting);
+      await election.vote(0, { from: voter1 });
+
+      try {
+        await election.addProposal("Late", "", { from: admin });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("not allowed in current phase"));
+      }
+    });
+
+    it("rejects a start time in the past or an end before the start", async () => {
+      const now = await latestTimestamp();
+      try {
+        await election.scheduleVoting(now - 10, now + 3600, { from: admin });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Start time must be in the future"));
+      }
+
+      try {
+        await election.scheduleVoting(now + 3600, now + 3600, { from: admin });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("End time must be after start time"));
+      }
+    });
+  });
+
+  describe("voting extensions", () => {
+    beforeEach(async () => {
+      await election.whitelistVoters([voter1, voter2], [4, 9], { from: admin });
+      await election.startVoting(60, { from: admin });
+    });
+
+    it("pushes the deadline back and records the reason", async () => {
+      const before = (await election.votingEndTime()).toNumber();
+      const tx = await election.extendVoting(30, "Campus network outage", { from: admin });
+
+      assert.equal(tx.logs[0].event, "VotingExtended");
+      assert.equal(tx.logs[0].args.reason, "Campus network outage");
+      assert.equal((await election.votingEndTime()).toNumber(), before + 1800);
+      assert.equal((await election.totalExtension()).toNumber(), 1800);
+
+      // The original deadline has passed, but the extension keeps voting open
+      await increaseTime(3700);
+      await election.vote(1, { from: voter2 });
+    });
+
+    it("caps the total extension and requires a reason", async () => {
+      const max = (await election.MAX_VOTING_EXTENSION()).toNumber();
+      await election.extendVoting(max / 60, "Outage", { from: admin });
+
+      try {
+        await election.extendVoting(1, "Another outage", { from: admin });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Exceeds maximum total extension"));
+      }
+
+      try {
+        await election.extendVoting(0, "", { from: admin });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("greater than zero"));
+      }
+    });
+
+    it("cannot revive a window that has already closed", async () => {
+      await increaseTime(3700);
+      try {
+        await election.extendVoting(30, "Too late", { from: admin });
+        assert.fail("expected revert");
+      } catch (err) {
+        assert(err.message.includes("Voting period has ended"));
+      }
+    });
+  });
+
+  describe("pause-aware clock", () => {
+    beforeEach(async () => {
+      await election.whitelistVoters([voter1, voter2], [4, 9], { from: admin });
+    });
+
+    it("gives the voting window back the time spent paused", async () => {
+      await election.startVoting(60, { from: admin });
+      const before = (await election.votingEndTime()).toNumber();
+
+      await election.pauseElection({ from: admin });
+      await increaseTime(600);
+      const during = await election.getTimeInfo();
+      assert.equal(during.isVotingActive, false);
+      assert(during.pausedDuration.toNumber() >= 600);
+
+      const tx = await election.resumeElection({ from: admin });
+      const shifted = tx.logs.find((log) => log.event === "DeadlineShifted");
+      const pausedFor = shifted.args.pausedSeconds.toNumber();
+      assert(pausedFor >= 600);
+      assert.equal((await election.votingEndTime()).toNumber(), before + pausedFor);
+      assert.equal((await election.getTimeInfo()).pausedDuration.toNumber(), pausedFor);
+
+      // Without the shift the original deadline would have passed by now
+      await increaseTime(3300);
+      await election.vote(0, { from: voter1 });
+    });
+
+    it("slides a schedule that had not opened yet", async () => {
+      const now = await latestTimestamp();
+      await election.scheduleVoting(now + 3600, now + 7200, { from: admin });
+
+      await election.pauseElection({ from: admin });
+      await increaseTime(4000);
+      await election.resumeElection({ from: admin });
+
+      assert.equal((await election.phase()).toNumber(), Phase.Setup);
+      const start = (await election.votingStartTime()).toNumber();
+      assert(start > await latestTimestamp());
+      assert.equal((await election.votingEndTime()).toNumber() - start, 3600);
+    });
+  });
+
+  describe("officials and roles", () => {
+    it("lets role holders do only their own duties", async () => {
+      await election.setRole(Role.WhitelistOfficial, voter1, true, { from: admin });
+      await election.setRole(Role.ProposalManager, voter2, true, { from: admin });
+      await election.setRole(Role.Pauser, voter3, true, { from: admin });
+
+      await election.whitelistVoter(voter4, 9, { from: voter1 });
+      await election.addProposal("Proposal D", "", { from: voter2 });
+      await election.pauseElection({ from: voter3 });
+      await election.resumeElection({ from: voter3 });
+
+      await expectRevert(election.addProposal("Proposal E", "", { from: voter1 }), "Only admin or role holder");
+      await expectRevert(election.whitelistVoter(voter4, 4, { from: voter3 }), "Only admin or role holder");
+      await expectRevert(election.startVoting(60, { from: voter1 }), "Only admin");
+      await expectRevert(election.setRole(Role.Pauser, voter4, true, { from: voter1 }), "Only admin");
+
+      assert.deepEqual(await election.getOfficials(), [voter1, voter2, voter3]);
+    });
+
+    it("revokes roles and hands over the super-admin seat", async () => {
+      await election.setRole(Role.WhitelistOfficial, voter1, true, { from: admin });
+      await election.setRole(Role.WhitelistOfficial, voter1, false, { from: admin });
+      assert.equal(await election.hasRole(voter1, Role.WhitelistOfficial), false);
+      await expectRevert(election.whitelistVoter(voter4, 9, { from: voter1 }), "Only admin or role holder");
+
+      await election.transferAdmin(voter2, { from: admin });
+      assert.equal(await election.admin(), voter2);
+      await election.whitelistVoter(voter4, 9, { from: voter2 });
+      await expectRevert(election.whitelistVoter(voter3, 9, { from: admin }), "Only admin or role holder");
+    });
+
+    it("does not hand the super-admin seat to a voter", async () => {
+      await election.whitelistVoter(voter1, 4, { from: admin });
+      await expectRevert(election.transferAdmin(voter1, { from: admin }), "Admin cannot be a voter");
+      assert.equal(await election.admin(), admin);
+    });
+  });
+
+  describe("editing and withdrawing proposals", () => {
+    beforeEach(async () => {
+      await election.setRole(Role.ProposalManager, voter1, true, { from: admin });
+      await election.addProposal("Proposal D", "Typo", { from: voter1 });
+      await election.whitelistVoter(voter2, 4, { from: admin });
+    });
+
+    it("lets the author or an official edit during setup and records the diff", async () => {
+      const tx = await election.editProposal(3, "Proposal D2", "Fixed", { from: voter1 });
+      const edited = tx.logs.find((log) => log.event === "ProposalEdited").args;
+      assert.equal(edited.oldTitle, "Proposal D");
+      assert.equal(edited.newTitle, "Proposal D2");
+      assert.equal(edited.oldDescription, "Typo");
+      assert.equal(edited.newDescription, "Fixed");
+
+      await election.setRole(Role.ProposalManager, voter1, false, { from: admin });
+      await election.editProposal(3, "Proposal D3", "Fixed", { from: voter1 });
+      await election.editProposal(0, "Proposal A1", "", { from: admin });
+      await expectRevert(election.editProposal(1, "Hijacked", "", { from: voter2 }), "Only admin or role holder");
+
+      const proposal = await election.getProposal(3);
+      assert.equal(proposal.title, "Proposal D3");
+      assert.equal(proposal.author, voter1);
+
+      await election.startVoting(60, { from: admin });
+      await expectRevert(election.editProposal(3, "Too late", "", { from: voter1 }), "Action not allowed");
+    });
+
+    it("keeps withdrawn proposals off the ballot without shifting IDs", async () => {
+      await election.withdrawProposal(1, { from: admin });
+      await expectRevert(election.editProposal(1, "Back", "", { from: admin }), "Proposal was withdrawn");
+      assert.equal((await election.getProposal(1)).withdrawn, true);
+      assert.equal((await election.proposalCount()).toNumber(), 4);
+
+      await election.startVoting(60, { from: admin });
+      await expectRevert(election.vote(1, { from: voter2 }), "Proposal was withdrawn");
+      await election.vote(3, { from: voter2 });
+      assert.equal((await election.getProposal(3)).rawVotes.toNumber(), 4);
+    });
+
+    it("will not open voting once every proposal is withdrawn", async () => {
+      for (let id = 0; id < 4; id++) {
+        await election.withdrawProposal(id, { from: admin });
+      }
+      await expectRevert(election.startVoting(60, { from: admin }), "Add at least one proposal first");
+      const start = (await latestTimestamp()) + 600;
+      await expectRevert(election.scheduleVoting(start, start + 600, { from: admin }), "Add at least one proposal first");
+
+      await election.addProposal("Proposal E", "", { from: voter1 });
+      await election.startVoting(60, { from: admin });
+    });
+
+    it("rejects withdrawn proposals on ranked and quadratic ballots", async () => {
+      await election.withdrawProposal(0, { from: admin });
+      await election.setBallotType(RANKED_CHOICE, { from: admin });
+      await election.startVoting(60, { from: admin });
+      await expectRevert(election.voteRanked([2, 0], { from: voter2 }), "Proposal was withdrawn");
+      await election.voteRanked([2, 1], { from: voter2 });
+      await election.closeVoting({ from: admin });
+      assert.equal((await election.winningProposal()).proposalId.toNumber(), 2);
+
+      const quadratic = await GovernanceVoting.new("Quadratic", proposals, QuorumType.VoterShare, 0);
+      await quadratic.whitelistVoter(voter2, 4, { from: admin });
+      await quadratic.withdrawProposal(1, { from: admin });
+      await quadratic.setBallotType(QUADRATIC, { from: admin });
+      await quadratic.startVoting(60, { from: admin });
+      await expectRevert(quadratic.voteQuadratic([1, 1, 0], { from: voter2 }), "Proposal was withdrawn");
+    });
+  });
+
+  describe("updating and removing voters", () => {
+    beforeEach(async () => {
+      await election.whitelistVoter(voter1, 4, { from: admin });
+      await election.whitelistVoter(voter2, 5, { from: admin });
+      await election.whitelistVoter(voter3, 7, { from: admin });
+      await election.delegate(voter2, { from: voter1 });
+      await election.delegate(voter3, { from: voter2 });
+    });
+
+    it("moves a weight change along the delegation chain", async () => {
+      const tx = await election.updateVoterWeight(voter1, 10, { from: admin });
+      const updated = tx.logs.find((log) => log.event === "VoterWeightUpdated").args;
+      assert.equal(updated.oldWeight.toNumber(), 4);
+      assert.equal(updated.newWeight.toNumber(), 10);
+
+      assert.equal((await election.getVoter(voter2)).delegatedWeight.toNumber(), 10);
+      assert.equal((await election.getVoter(voter3)).delegatedWeight.toNumber(), 15);
+      await expectRevert(election.updateVoterWeight(voter4, 3, { from: admin }), "Not a whitelisted voter");
+      await expectRevert(election.updateVoterWeight(voter1, 0, { from: admin }), "Weight must be greater than zero");
+    });
+
+    it("keeps delegations intact when a voter is whitelisted again", async () => {
+      await election.whitelistVoter(voter1, 2, { from: admin });
+
+      const voter = await election.getVoter(voter1);
+      assert.equal(voter.delegateAddress, voter2);
+      assert.equal(voter.weight.toNumber(), 2);
+      assert.equal((await election.getVoter(voter3)).delegatedWeight.toNumber(), 7);
+      assert.equal((await election.getVoterCount()).toNumber(), 3);
+    });
+
+    it("cancels delegations to a removed voter and drops them from the list", async () => {
+      const tx = await election.removeVoter(voter2, { from: admin });
+      assert.equal(tx.logs.find((log) => log.event === "VoterRemoved").args.releasedDelegations.toNumber(), 1);
+
+      assert.equal((await election.getVoter(voter2)).whitelisted, false);
+      assert.equal((await election.getVoter(voter1)).delegateAddress, "0x0000000000000000000000000000000000000000");
+      assert.equal((await election.getVoter(voter3)).delegatedWeight.toNumber(), 0);
+      assert.equal((await election.getVoterCount()).toNumber(), 2);
+
+      const turnout = await election.getTurnout();
+      assert.equal(turnout.eligible.toNumber(), 2);
+      await expectRevert(election.removeVoter(voter2, { from: admin }), "Not a whitelisted voter");
+    });
+
+    it("is limited to whitelisting officials during setup", async () => {
+      await expectRevert(election.removeVoter(voter3, { from: voter1 }), "Only admin or role holder");
+      await election.setRole(Role.WhitelistOfficial, voter4, true, { from: admin });
+      await election.updateVoterWeight(voter3, 8, { from: voter4 });
+
+      await election.startVoting(60, { from: admin });
+      await expectRevert(election.removeVoter(voter3, { from: admin }), "Action not allowed");
+    });
+  });
+
+  describe("abstain and reject all", () => {
+    let ABSTAIN;
+    let REJECT_ALL;
+
+    beforeEach(async () => {
+      ABSTAIN = await election.ABSTAIN();
+      REJECT_ALL = await election.REJECT_ALL();
+      await election.whitelistVoters([voter1, voter2, voter3], [4, 9, 16], { from: admin });
+    });
+
+    it("counts abstentions towards turnout but not for any proposal", async () => {
+      const quorate = await GovernanceVoting.new("Quorum Election", proposals, QuorumType.VoterShare, 60);
+      await quorate.whitelistVoters([voter1, voter2, voter3], [4, 9, 16], { from: admin });
+      await quorate.startVoting(60, { from: admin });
+      await quorate.vote(0, { from: voter1 });
+      await quorate.vote(ABSTAIN, { from: voter2 });
+
+      const abstained = await quorate.getProposal(ABSTAIN);
+      assert.equal(abstained.quadraticVotes.toNumber(), 3);
+      assert.equal(abstained.rawVotes.toNumber(), 9);
+      assert.equal((await quorate.getTurnout()).turnout.toNumber(), 2);
+      await expectRevert(quorate.vote(REJECT_ALL, { from: voter3 }), "Reject all is not on this ballot");
+
+      await quorate.closeVoting({ from: admin });
+      assert.equal((await quorate.outcome()).toNumber(), Outcome.Decided);
+      assert.equal((await quorate.winningProposal()).proposalId.toNumber(), 0);
+    });
+
+    it("passes nothing when reject all wins", async () => {
+      await election.setRejectAllOption(true, { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter1 });
+      await election.vote(1, { from: voter2 });
+      await election.vote(REJECT_ALL, { from: voter3 });
+      await expectRevert(election.getAllResults(), "Action not allowed in current phase");
+      const tx = await election.closeVoting({ from: admin });
+
+      const rejected = tx.logs.find((log) => log.event === "AllProposalsRejected").args;
+      assert.equal(rejected.quadraticVotes.toNumber(), 4);
+      assert.equal((await election.outcome()).toNumber(), Outcome.Rejected);
+      await expectRevert(election.winningProposal(), "All proposals were rejected");
+
+      const results = await election.getAllResults();
+      assert.deepEqual(results.titles, proposals);
+      assert.deepEqual(results.quadraticVotes.map(Number), [2, 3, 0]);
+      assert.deepEqual(results.rawVotes.map(Number), [4, 9, 0]);
+    });
+
+    it("lets quadratic voters abstain or reject all outright", async () => {
+      await election.setBallotType(QUADRATIC, { from: admin });
+      await election.setRejectAllOption(true, { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.voteQuadratic([2, 0, 0], { from: voter1 });
+      await election.vote(REJECT_ALL, { from: voter2 });
+      await election.vote(ABSTAIN, { from: voter3 });
+      await expectRevert(election.vote(1, { from: voter3 }), "Wrong ballot type");
+
+      assert.equal((await election.getVoter(voter2)).votedProposalId.toString(), REJECT_ALL.toString());
+      await election.closeVoting({ from: admin });
+      assert.equal((await election.outcome()).toNumber(), Outcome.Rejected);
+    });
+
+    it("reports no votes when everyone abstained", async () => {
+      await election.startVoting(60, { from: admin });
+      await election.vote(ABSTAIN, { from: voter1 });
+      await election.closeVoting({ from: admin });
+      assert.equal((await election.outcome()).toNumber(), Outcome.NoVotes);
+    });
+  });
+
+  describe("changing votes", () => {
+    const votes = async (id) => (await election.getProposal(id)).quadraticVotes.toNumber();
+
+    beforeEach(async () => {
+      await election.whitelistVoters([voter1, voter2, voter3], [9, 4, 16], { from: admin });
+    });
+
+    it("moves a single-choice vote until the deadline", async () => {
+      await election.startVoting(60, { from: admin });
+      await election.vote(0, { from: voter1 });
+      const tx = await election.vote(2, { from: voter1 });
+
+      const changed = tx.logs.find((log) => log.event === "VoteChanged").args;
+      assert.equal(changed.previousProposalId.toNumber(), 0);
+      assert.equal(await votes(0), 0);
+      assert.equal(await votes(2), 3);
+      assert.equal((await election.getProposal(2)).rawVotes.toNumber(), 9);
+      assert.equal((await election.getVoter(voter1)).votedProposalId.toNumber(), 2);
+      assert.equal((await election.getTurnout()).turnout.toNumber(), 1);
+
+      // Weight delegated later follows the new choice
+      await election.delegate(voter1, { from: voter2 });
+      assert.equal((await election.getProposal(2)).rawVotes.toNumber(), 13);
+
+      await increaseTime(61 * 60);
+      await expectRevert(election.vote(1, { from: voter1 }), "Voting period has ended");
+    });
+
+    it("replaces a ranked ballot, including for the runoff", async () => {
+      await election.setBallotType(RANKED_CHOICE, { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.voteRanked([0, 1], { from: voter1 });
+      await election.voteRanked([1, 0], { from: voter2 });
+      await election.voteRanked([2, 1], { from: voter1 });
+
+      assert.deepEqual((await election.getRanking(voter1)).map(Number), [2, 1]);
+      assert.deepEqual((await election.getRanking(voter2)).map(Number), [1, 0]);
+      assert.equal(await votes(0), 0);
+      assert.equal(await votes(2), 3);
+
+      await election.closeVoting({ from: admin });
+      assert.equal((await election.winningProposal()).proposalId.toNumber(), 2);
+    });
+
+    it("swaps a quadratic allocation for a new one", async () => {
+      await election.setBallotType(QUADRATIC, { from: admin });
+      await election.startVoting(60, { from: admin });
+      await election.voteQuadratic([3, 0, 0], { from: voter1 });
+      await election.voteQuadratic([0, 2, 2], { from: voter1 });
+
+      assert.equal(await votes(0), 0);
+      assert.equal((await election.getProposal(1)).rawVotes.toNumber(), 4);
+      assert.deepEqual((await election.getQuadraticAllocation(voter1)).map(Number), [0, 2, 2]);
+      await expectRevert(election.voteQuadratic([0, 3, 1], { from: voter1 }), "Not enough voice credits");
+
+      await election.vote(await election.ABSTAIN(), { from: voter1 });
+      assert.equal(await votes(1), 0);
+      assert.equal((await election.getQuadraticAllocation(voter1)).length, 0);
+    });
+  });
+
+  describe("deployment", () => {
+    it("fits the gas limit the New Election wizard sends, with ten proposals", async () => {
+      const titles = Array.from({ length: 10 }, (_, i) => `Proposal ${i + 1}`);
+      const deployed = await GovernanceVoting.new("Wizard Election", titles, QuorumType.VoterShare, 0);
+      const receipt = await web3.eth.getTransactionReceipt(deployed.transactionHash);
+      assert.isBelow(receipt.gasUsed, 6700000, "deployGasLimit in src/js/app.js");
+    });
+  });
+});
@@ -0,0 +1,35 @@
+// Shared by the contract tests; `web3` and `assert` are the globals Truffle provides
+
+const expectRevert = async (promise, message) => {
+  try {
+    await promise;
+    assert.fail("expected revert");
+  } catch (err) {
+    assert(err.message.includes(message), err.message);
+  }
+};
+
+const rpc = (method, params = []) => new Promise((resolve, reject) => {
+  web3.currentProvider.send({ jsonrpc: "2.0", method, params, id: Date.now() }, (err, res) => (err ? reject(err) : resolve(res)));
+});
+
+const increaseTime = async (seconds) => {
+  await rpc("evm_increaseTime", [seconds]);
+  await rpc("evm_mine");
+};
+
+const latestTimestamp = async () => (await web3.eth.getBlock("latest")).timestamp;
+
+// Unlocked accounts with some ETH, for tests that need more voters than Ganache starts with
+const newAccounts = async (count, funder) => {
+  const created = [];
+  for (let i = 0; i < count; i++) {
+    const account = await web3.eth.personal.newAccount("");
+    await web3.eth.personal.unlockAccount(account, "", 0);
+    await web3.eth.sendTransaction({ from: funder, to: account, value: web3.utils.toWei("1", "ether") });
+    created.push(account);
+  }
+  return created;
+};
+
+module.exports = { expectRevert, increaseTime, latestTimestamp, newAccounts };
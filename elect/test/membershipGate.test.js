@@ -0,0 +1,72 @@
+const GovernanceVoting = artifacts.require("GovernanceVoting");
+const DemoMembership = artifacts.require("DemoMembership");
+const MembershipGate = artifacts.require("MembershipGate");
+const { expectRevert } = require("./helpers");
+
+contract("MembershipGate", (accounts) => {
+  const [admin, alice, bob, carol] = accounts;
+  const WeightMode = { PerMember: 0, PerToken: 1 };
+  const REGISTRAR = 3;
+
+  let election;
+  let collection;
+
+  const deployGate = async (mode) => {
+    const gate = await MembershipGate.new(election.address, collection.address, mode);
+    await election.setRole(REGISTRAR, gate.address, true, { from: admin });
+    return gate;
+  };
+
+  beforeEach(async () => {
+    election = await GovernanceVoting.new("Club Vote", ["Proposal A", "Proposal B"], 0, 0);
+    collection = await DemoMembership.new();
+    await collection.issue(alice, { from: admin }); // #1
+    await collection.issue(alice, { from: admin }); // #2
+    await collection.issue(bob, { from: admin });   // #3
+  });
+
+  it("gives each member one vote however many tokens they hold", async () => {
+    const gate = await deployGate(WeightMode.PerMember);
+    await gate.register([1, 2], { from: alice });
+    await gate.register([3], { from: bob });
+
+    assert.equal((await election.getVoter(alice)).weight.toNumber(), 1);
+    assert.equal((await election.getVoter(bob)).weight.toNumber(), 1);
+    assert.equal(await gate.used(2), true);
+
+    await election.startVoting(60, { from: admin });
+    await election.vote(0, { from: alice });
+  });
+
+  it("can give one vote per token instead", async () => {
+    const gate = await deployGate(WeightMode.PerToken);
+    await gate.register([1, 2], { from: alice });
+    assert.equal((await election.getVoter(alice)).weight.toNumber(), 2);
+  });
+
+  it("uses each token once per election, even after a transfer", async () => {
+    const gate = await deployGate(WeightMode.PerMember);
+    await gate.register([1], { from: alice });
+
+    await collection.transferFrom(alice, carol, 1, { from: alice });
+    await expectRevert(gate.register([1], { from: carol }), "Token already used in this election");
+    await expectRevert(gate.register([3], { from: carol }), "You do not hold this token");
+    await expectRevert(gate.register([2], { from: alice }), "Already registered as a voter");
+
+    // A new election starts with fresh tokens
+    const next = await GovernanceVoting.new("Next Vote", ["Proposal A"], 0, 0);
+    const nextGate = await MembershipGate.new(next.address, collection.address, WeightMode.PerMember);
+    await next.setRole(REGISTRAR, nextGate.address, true, { from: admin });
+    await nextGate.register([1], { from: carol });
+  });
+
+  it("keeps registering members after voting starts, until it closes", async () => {
+    const gate = await deployGate(WeightMode.PerMember);
+    await election.startVoting(60, { from: admin });
+
+    await gate.register([3], { from: bob });
+    await election.vote(1, { from: bob });
+    await election.closeVoting({ from: admin });
+    await expectRevert(gate.register([1], { from: alice }), "Voter registration is closed");
+  });
+});
@@ -0,0 +1,106 @@
+const GovernanceVoting = artifacts.require("GovernanceVoting");
+const ProposalDrafts = artifacts.require("ProposalDrafts");
+const ProposalExecutor = artifacts.require("ProposalExecutor");
+const { expectRevert } = require("./helpers");
+
+contract("ProposalDrafts", (accounts) => {
+  const [admin, alice, bob, carol, outsider] = accounts;
+  const SponsorMode = { Voters: 0, Weight: 1 };
+  const DraftStatus = { Pending: 0, Accepted: 1, Rejected: 2 };
+  const PROPOSAL_MANAGER = 1;
+
+  let election;
+
+  const deployDrafts = async (mode, threshold) => {
+    const drafts = await ProposalDrafts.new(election.address, mode, threshold);
+    await election.setRole(PROPOSAL_MANAGER, drafts.address, true, { from: admin });
+    return drafts;
+  };
+
+  beforeEach(async () => {
+    election = await GovernanceVoting.new("Student Vote", ["Proposal A"], 0, 0);
+    await election.whitelistVoter(alice, 1, { from: admin });
+    await election.whitelistVoter(bob, 1, { from: admin });
+    await election.whitelistVoter(carol, 5, { from: admin });
+  });
+
+  it("puts a draft on the ballot once enough voters sponsor it", async () => {
+    const drafts = await deployDrafts(SponsorMode.Voters, 2);
+    await drafts.submitDraft("Longer library hours", "Open until midnight", { from: alice });
+
+    let draft = await drafts.getDraft(0);
+    assert.equal(draft.sponsors.toNumber(), 1);
+    assert.equal(draft.status.toNumber(), DraftStatus.Pending);
+    await expectRevert(drafts.sponsor(0, { from: alice }), "already sponsored");
+    await expectRevert(drafts.sponsor(0, { from: outsider }), "Only whitelisted voters");
+
+    await drafts.sponsor(0, { from: bob });
+    draft = await drafts.getDraft(0);
+    assert.equal(draft.status.toNumber(), DraftStatus.Accepted);
+    assert.equal(draft.proposalId.toNumber(), 1);
+    assert.equal((await election.proposalCount()).toNumber(), 2);
+    assert.equal((await election.getProposal(1)).title, "Longer library hours");
+  });
+
+  it("can count sponsor weight instead of heads", async () => {
+    const drafts = await deployDrafts(SponsorMode.Weight, 6);
+    await drafts.submitDraft("Free coffee", "", { from: alice });
+    await drafts.sponsor(0, { from: bob });
+    assert.equal((await drafts.getDraft(0)).status.toNumber(), DraftStatus.Pending);
+
+    await drafts.sponsor(0, { from: carol });
+    const draft = await drafts.getDraft(0);
+    assert.equal(draft.sponsorWeight.toNumber(), 7);
+    assert.equal(draft.status.toNumber(), DraftStatus.Accepted);
+  });
+
+  it("lets officials reject drafts with a reason", async () => {
+    const drafts = await deployDrafts(SponsorMode.Voters, 3);
+    await drafts.submitDraft("Buy now!!!", "spam", { from: alice });
+
+    await expectRevert(drafts.reject(0, "spam", { from: bob }), "Only admin or role holder");
+    await expectRevert(drafts.reject(0, "", { from: admin }), "reason cannot be empty");
+    await drafts.reject(0, "Advertising", { from: admin });
+
+    const draft = await drafts.getDraft(0);
+    assert.equal(draft.status.toNumber(), DraftStatus.Rejected);
+    assert.equal(draft.rejectReason, "Advertising");
+    await expectRevert(drafts.sponsor(0, { from: bob }), "no longer pending");
+  });
+
+  it("lets the drafting voter edit and withdraw the ballot proposal", async () => {
+    const drafts = await deployDrafts(SponsorMode.Voters, 1);
+    await drafts.submitDraft("Longer libary hours", "", { from: alice });
+
+    await expectRevert(drafts.editProposal(0, "Hijacked", "", { from: bob }), "Only the draft author");
+    await drafts.editProposal(0, "Longer library hours", "Until midnight", { from: alice });
+    assert.equal((await election.getProposal(1)).title, "Longer library hours");
+
+    await drafts.withdrawProposal(0, { from: alice });
+    assert.equal((await election.getProposal(1)).withdrawn, true);
+  });
+
+  it("lets the drafting voter attach executor actions to the ballot proposal", async () => {
+    const drafts = await deployDrafts(SponsorMode.Voters, 1);
+    await drafts.submitDraft("Fund the library", "", { from: alice });
+    await expectRevert(drafts.addProposalAction(0, carol, 1, "0x", { from: alice }), "No executor installed");
+
+    const executor = await ProposalExecutor.new(election.address, 60);
+    await election.installExecutor(executor.address, { from: admin });
+    await expectRevert(executor.addAction(1, carol, 1, "0x", { from: alice }), "Only the author, admin or a proposal manager");
+    await expectRevert(drafts.addProposalAction(0, carol, 1, "0x", { from: bob }), "Only the draft author");
+
+    await drafts.addProposalAction(0, carol, 1, "0x", { from: alice });
+    assert.equal((await executor.actionCount(1)).toNumber(), 1);
+    assert.equal((await executor.getAction(1, 0)).target, carol);
+
+    await drafts.clearProposalActions(0, { from: alice });
+    assert.equal((await executor.actionCount(1)).toNumber(), 0);
+  });
+
+  it("closes drafting once voting starts", async () => {
+    const drafts = await deployDrafts(SponsorMode.Voters, 3);
+    await election.startVoting(60, { from: admin });
+    await expectRevert(drafts.submitDraft("Too late", "", { from: alice }), "only open during setup");
+  });
+});
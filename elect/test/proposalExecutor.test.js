@@ -0,0 +1,106 @@
+const GovernanceVoting = artifacts.require("GovernanceVoting");
+const ProposalExecutor = artifacts.require("ProposalExecutor");
+const { expectRevert, increaseTime } = require("./helpers");
+
+contract("ProposalExecutor", (accounts) => {
+  const [admin, alice, bob, recipient, outsider] = accounts;
+  const DELAY = 3600;
+
+  let election;
+  let executor;
+
+  // Alice and Bob both back proposal B
+  const electProposalB = async () => {
+    await election.startVoting(60, { from: admin });
+    await election.vote(1, { from: alice });
+    await election.vote(1, { from: bob });
+    await election.closeVoting({ from: admin });
+  };
+
+  beforeEach(async () => {
+    election = await GovernanceVoting.new("Treasury Vote", ["Proposal A", "Proposal B"], 0, 0);
+    executor = await ProposalExecutor.new(election.address, DELAY);
+    await election.installExecutor(executor.address, { from: admin });
+    await election.whitelistVoter(alice, 1, { from: admin });
+    await election.whitelistVoter(bob, 1, { from: admin });
+  });
+
+  it("runs the winning proposal's actions after the timelock", async () => {
+    const payout = web3.utils.toWei("1", "ether");
+    await executor.send(payout, { from: admin });
+    await executor.addAction(1, recipient, payout, "0x", { from: admin });
+
+    // The executor owns a second election and adds a proposal to it
+    const other = await GovernanceVoting.new("Next Vote", ["Keep"], 0, 0);
+    await other.transferAdmin(executor.address, { from: admin });
+    const data = other.contract.methods.addProposal("Build a park", "From the treasury vote").encodeABI();
+    await executor.addAction(1, other.address, 0, data, { from: admin });
+    assert.equal((await executor.actionCount(1)).toNumber(), 2);
+
+    await electProposalB();
+    const queued = await executor.queue({ from: outsider });
+    assert.equal(queued.logs[0].event, "ProposalQueued");
+    assert.equal((await executor.queuedProposalId()).toNumber(), 1);
+    await expectRevert(executor.execute({ from: outsider }), "Timelock has not expired");
+
+    await increaseTime(DELAY);
+    const before = web3.utils.toBN(await web3.eth.getBalance(recipient));
+    await executor.execute({ from: outsider });
+
+    const after = web3.utils.toBN(await web3.eth.getBalance(recipient));
+    assert.equal(after.sub(before).toString(), payout);
+    assert.equal((await other.getProposal(1)).title, "Build a park");
+    assert.equal(await executor.executed(), true);
+    await expectRevert(executor.execute({ from: outsider }), "already executed");
+  });
+
+  it("reverts every action when one of them fails", async () => {
+    const other = await GovernanceVoting.new("Next Vote", ["Keep"], 0, 0);
+    await other.transferAdmin(executor.address, { from: admin });
+    await executor.addAction(1, other.address, 0, other.contract.methods.addProposal("Park", "").encodeABI(), { from: admin });
+    await executor.addAction(1, other.address, 0, other.contract.methods.addProposal("", "").encodeABI(), { from: admin });
+
+    await electProposalB();
+    await executor.queue();
+    await increaseTime(DELAY);
+    await expectRevert(executor.execute(), "title cannot be empty");
+    assert.equal((await other.proposalCount()).toNumber(), 1);
+    assert.equal(await executor.executed(), false);
+  });
+
+  it("only lets proposal editors attach actions during setup", async () => {
+    await expectRevert(executor.addAction(0, recipient, 0, "0x", { from: outsider }), "Only the author, admin or a proposal manager");
+    await expectRevert(executor.addAction(5, recipient, 0, "0x", { from: admin }), "Invalid proposal ID");
+
+    await election.setRole(1, alice, true, { from: admin });
+    await election.addProposal("Proposal C", "", { from: alice });
+    await election.setRole(1, alice, false, { from: admin });
+    await executor.addAction(2, recipient, 0, "0x", { from: alice });
+    await executor.clearActions(2, { from: alice });
+    assert.equal((await executor.actionCount(2)).toNumber(), 0);
+
+    await election.startVoting(60, { from: admin });
+    await expectRevert(executor.addAction(0, recipient, 0, "0x", { from: admin }), "only change during setup");
+    await expectRevert(election.installExecutor(outsider, { from: admin }), "not allowed in current phase");
+  });
+
+  it("queues only a decided winner that carries actions", async () => {
+    await expectRevert(executor.queue(), "not allowed in current phase");
+    await electProposalB();
+    await expectRevert(executor.queue(), "Winning proposal has no actions");
+
+    const detached = await ProposalExecutor.new(election.address, DELAY);
+    await expectRevert(detached.queue(), "not installed");
+  });
+
+  it("lets the admin cancel during the timelock", async () => {
+    await executor.addAction(1, recipient, 0, "0x", { from: admin });
+    await electProposalB();
+    await executor.queue();
+
+    await expectRevert(executor.cancel({ from: outsider }), "Only admin");
+    await executor.cancel({ from: admin });
+    await increaseTime(DELAY);
+    await expectRevert(executor.execute(), "canceled");
+  });
+});
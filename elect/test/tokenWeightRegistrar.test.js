@@ -0,0 +1,103 @@
+const GovernanceVoting = artifacts.require("GovernanceVoting");
+const DemoVotesToken = artifacts.require("DemoVotesToken");
+const TokenWeightRegistrar = artifacts.require("TokenWeightRegistrar");
+const { expectRevert, increaseTime } = require("./helpers");
+
+contract("TokenWeightRegistrar", (accounts) => {
+  const [admin, alice, bob, carol] = accounts;
+  const REGISTRAR = 3;
+  const TIE_RUNOFF = 3;
+  const TOKEN_GAS = 300000;
+  const tokens = (amount) => web3.utils.toWei(String(amount), "ether");
+
+  let election;
+  let token;
+  let registrar;
+
+  // Explicit gas: an estimate made within one second of the last checkpoint misses the new checkpoint slot
+  const fund = async (account, amount) => {
+    await token.mint(account, tokens(amount), { from: admin, gas: TOKEN_GAS });
+    await token.delegate(account, { from: account, gas: TOKEN_GAS });
+  };
+
+  beforeEach(async () => {
+    election = await GovernanceVoting.new("Token Vote", ["Proposal A", "Proposal B"], 0, 0);
+    token = await DemoVotesToken.new();
+    registrar = await TokenWeightRegistrar.new(election.address, token.address);
+    await election.setRole(REGISTRAR, registrar.address, true, { from: admin });
+    await fund(alice, 9);
+    await fund(bob, 4);
+  });
+
+  it("registers holders with their voting power when voting opened", async () => {
+    await increaseTime(2);
+    await election.startVoting(60, { from: admin });
+
+    // Tokens that move after the start do not change either weight
+    await token.transfer(bob, tokens(5), { from: alice, gas: TOKEN_GAS });
+    await increaseTime(2);
+
+    await registrar.register(alice, { from: carol });
+    await registrar.register(bob, { from: bob });
+
+    const aliceVoter = await election.getVoter(alice);
+    assert.equal(aliceVoter.whitelisted, true);
+    assert.equal(aliceVoter.weight.toNumber(), 9);
+    assert.equal((await election.getVoter(bob)).weight.toNumber(), 4);
+    assert.equal((await registrar.weightOf(bob)).toNumber(), 4);
+
+    await election.vote(1, { from: alice });
+    assert.equal((await election.getProposal(1)).quadraticVotes.toNumber(), 3);
+  });
+
+  it("keeps the snapshot through a tie runoff", async () => {
+    await election.setTieBreakPolicy(TIE_RUNOFF, "0x" + "00".repeat(32), { from: admin });
+    await fund(carol, 9);
+    await increaseTime(2);
+    await election.startVoting(60, { from: admin });
+    const snapshot = (await registrar.snapshot()).toNumber();
+
+    await registrar.register(alice);
+    await registrar.register(carol);
+    await election.vote(0, { from: alice });
+    await election.vote(1, { from: carol });
+    await token.transfer(bob, tokens(5), { from: alice, gas: TOKEN_GAS });
+    await increaseTime(60);
+    await election.closeVoting({ from: admin });
+    assert.equal(await election.inTieRunoff(), true);
+
+    assert.equal((await registrar.snapshot()).toNumber(), snapshot);
+    await registrar.register(bob);
+    assert.equal((await election.getVoter(bob)).weight.toNumber(), 4);
+  });
+
+  it("only registers holders once voting has opened", async () => {
+    await expectRevert(registrar.register(alice), "Registration opens when voting starts");
+    await expectRevert(election.registerVoter(alice, 5, { from: bob }), "Only admin or role holder");
+
+    await increaseTime(2);
+    await election.startVoting(60, { from: admin });
+    await expectRevert(registrar.register(carol), "No token balance at the snapshot");
+
+    await registrar.register(alice);
+    await expectRevert(registrar.register(alice), "Already registered as a voter");
+  });
+
+  it("lets voting start with no voters when a registrar can add them", async () => {
+    const manual = await GovernanceVoting.new("Manual Vote", ["Proposal A"], 0, 0);
+    await expectRevert(manual.startVoting(60, { from: admin }), "Whitelist at least one voter first");
+
+    await election.startVoting(60, { from: admin });
+    assert.equal((await election.getVoterCount()).toNumber(), 0);
+  });
+
+  it("closes registration when voting closes", async () => {
+    await increaseTime(2);
+    await election.startVoting(60, { from: admin });
+    await registrar.register(alice);
+    await election.vote(0, { from: alice });
+    await election.closeVoting({ from: admin });
+
+    await expectRevert(registrar.register(bob), "Voter registration is closed");
+  });
+});
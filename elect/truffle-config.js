@@ -15,7 +15,7 @@ module.exports = {
     solc: {
       version: "0.8.11",   // or "^0.8.11"
       settings: {
-        optimizer: { enabled: false, runs: 200 } // optional, keep if you need it
+        optimizer: { enabled: true, runs: 1 } // optimise for code size: keeps GovernanceVoting under the 24KB contract size limit
       }
     }
   }